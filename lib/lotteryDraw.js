@@ -0,0 +1,106 @@
+// lib/lotteryDraw.js
+import crypto from "crypto";
+
+/**
+ * Provably fair lottery draws (commit-reveal).
+ *
+ * 1. At activation the server commits to sha256(seed) and keeps the seed secret.
+ * 2. At draw time the entry snapshot is fixed and a blockhash from a slot that
+ *    had not been produced yet is fetched.
+ * 3. randomness = sha256(seed : blockhash : snapshotHash) picks a weighted ticket;
+ *    further winners use sha256(randomness : i) over the remaining entries.
+ *
+ * Everything except the seed is public before the draw, and the seed is
+ * published afterwards, so anyone can recompute the winner.
+ */
+
+export function sha256Hex(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+export function createSeedCommitment() {
+  const seed = crypto.randomBytes(32).toString("hex");
+  return { seed, seedHash: sha256Hex(seed) };
+}
+
+// Plain code-unit comparison so ordering doesn't depend on the verifier's locale
+function compare(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Canonical ordering so the snapshot hash doesn't depend on query order
+export function normalizeEntries(entries) {
+  return entries
+    .map(e => ({ username: e.username, walletAddress: e.walletAddress, entries: e.entries }))
+    .sort((a, b) => compare(a.username, b.username) || compare(a.walletAddress, b.walletAddress));
+}
+
+export function hashEntrySnapshot(entries) {
+  return sha256Hex(JSON.stringify(normalizeEntries(entries)));
+}
+
+export function drawRandomness(seed, blockhash, snapshotHash) {
+  return sha256Hex(`${seed}:${blockhash}:${snapshotHash}`);
+}
+
+/**
+ * Pick the entry holding the winning ticket. Each entry owns `entries`
+ * consecutive tickets in canonical order.
+ */
+export function pickWinner(entries, randomness) {
+  const ordered = normalizeEntries(entries);
+  const totalEntries = ordered.reduce((sum, e) => sum + e.entries, 0);
+  if (totalEntries === 0) return { winner: null, ticket: null, totalEntries };
+
+  const ticket = Number(BigInt(`0x${randomness}`) % BigInt(totalEntries));
+
+  let cursor = 0;
+  for (const entry of ordered) {
+    cursor += entry.entries;
+    if (ticket < cursor) return { winner: entry, ticket, totalEntries };
+  }
+  return { winner: null, ticket, totalEntries };
+}
+
+/**
+ * Pick `count` distinct winners without replacement. Draw i uses
+ * sha256(randomness : i) over the entries not yet drawn. With fewer entries
+ * than `count` every entry wins once and fewer picks are returned.
+ */
+export function pickWinners(entries, randomness, count) {
+  let remaining = normalizeEntries(entries);
+  const picks = [];
+
+  for (let i = 0; i < count && remaining.length > 0; i++) {
+    const drawRandom = i === 0 ? randomness : sha256Hex(`${randomness}:${i}`);
+    const { winner, ticket, totalEntries } = pickWinner(remaining, drawRandom);
+    picks.push({ ...winner, ticket, totalEntries });
+    remaining = remaining.filter(e => !(e.username === winner.username && e.walletAddress === winner.walletAddress));
+  }
+
+  return picks;
+}
+
+/**
+ * Recompute a draw from its published data. `blockhash` is the hash observed
+ * on-chain for the recorded slot (fetched independently by the verifier).
+ * `winnerWallets` lists the drawn wallets in draw order.
+ */
+export function verifyDraw({ seed, seedHash, blockhash, entrySnapshot, snapshotHash, winnerWallets }) {
+  const checks = {
+    seed_matches_commitment: !!seed && sha256Hex(seed) === seedHash,
+    snapshot_matches_hash: hashEntrySnapshot(entrySnapshot || []) === snapshotHash
+  };
+
+  const randomness = drawRandomness(seed, blockhash, snapshotHash);
+  const expectedWinners = pickWinners(entrySnapshot || [], randomness, winnerWallets.length);
+  checks.winners_match = expectedWinners.length === winnerWallets.length &&
+    expectedWinners.every((w, i) => w.walletAddress === winnerWallets[i]);
+
+  return {
+    valid: Object.values(checks).every(Boolean),
+    checks,
+    randomness,
+    expectedWinners
+  };
+}
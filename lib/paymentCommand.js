@@ -0,0 +1,247 @@
+// lib/paymentCommand.js
+import { parseDecimalAmount, fromBaseUnits } from "./tokenRegistry.js";
+
+/**
+ * Payment command grammar shared by the scanner and X webhook (server.js) and
+ * the Supabase server's /api/handleTweet.
+ *
+ *   send @alice $5                      pay @alice 5 usdc
+ *   send $5 to @alice for pizza         send @alice $1,000.50
+ *   send @alice 100 BONK                send @alice 0.1 SOL  (with a token registry)
+ *   send @alice @bob $5 each            split $30 between @alice @bob @carol
+ *   tip $2  (as a reply: pays the author of the replied-to post)
+ *
+ * Words before the verb (reply prefixes, the bot mention) are ignored. A memo
+ * starts at the first "for" after the amount and a recipient (or after the
+ * amount of a bare tip).
+ *
+ * parsePaymentCommand() returns
+ *   { ok: true, mode: "single" | "each" | "split" | "tip", currency, total, totalRaw,
+ *     recipients: [{ handle, amount, rawAmount }], memo }
+ * with amounts as decimal strings and raw amounts as integer base units,
+ * or { ok: false, reason, message } with a PARSE_ERRORS reason code.
+ */
+
+export const PARSE_ERRORS = {
+  NO_COMMAND: "NO_COMMAND",
+  NO_RECIPIENT: "NO_RECIPIENT",
+  NO_TIP_TARGET: "NO_TIP_TARGET",
+  SELF_PAYMENT: "SELF_PAYMENT",
+  NO_AMOUNT: "NO_AMOUNT",
+  MULTIPLE_AMOUNTS: "MULTIPLE_AMOUNTS",
+  INVALID_AMOUNT: "INVALID_AMOUNT",
+  AMOUNT_TOO_LARGE: "AMOUNT_TOO_LARGE",
+  UNKNOWN_CURRENCY: "UNKNOWN_CURRENCY",
+  AMBIGUOUS_RECIPIENTS: "AMBIGUOUS_RECIPIENTS",
+  DUPLICATE_RECIPIENT: "DUPLICATE_RECIPIENT",
+  TOO_MANY_RECIPIENTS: "TOO_MANY_RECIPIENTS"
+};
+
+const MESSAGES = {
+  NO_COMMAND: "No payment command found",
+  NO_RECIPIENT: "Mention who to pay, e.g. send @user $5",
+  NO_TIP_TARGET: "Reply to a post to tip its author, or mention who to tip",
+  SELF_PAYMENT: "You can't pay yourself",
+  NO_AMOUNT: "Include an amount, e.g. send @user $5",
+  MULTIPLE_AMOUNTS: "Use a single amount per command",
+  INVALID_AMOUNT: "Amount must be a positive number like 5, 5.25 or 1,000 within the token's decimals",
+  AMOUNT_TOO_LARGE: "Amount is over the limit for one command",
+  UNKNOWN_CURRENCY: "Unsupported currency",
+  AMBIGUOUS_RECIPIENTS: "With several recipients say \"each\" or use \"split $X between ...\"",
+  DUPLICATE_RECIPIENT: "Each recipient can only be mentioned once",
+  TOO_MANY_RECIPIENTS: "Too many recipients in one command"
+};
+
+export const DEFAULT_CURRENCIES = {
+  usdc: "USDC",
+  usd: "USDC",
+  dollar: "USDC",
+  dollars: "USDC",
+  buck: "USDC",
+  bucks: "USDC"
+};
+
+export const DEFAULT_DECIMALS = { USDC: 6 };
+
+const VERBS = ["send", "pay", "split", "tip"];
+// Words that may follow an amount without naming a currency
+const GRAMMAR_WORDS = ["each", "to", "for", "between", "among", "and", "with", "please", "pls", "split", "total"];
+// Lowercase tickers that are currencies even when not supported here ("5 eth")
+const KNOWN_TICKERS = ["btc", "eth", "usdt", "dai", "sol", "bonk", "jup", "wif", "doge", "matic", "ada", "xrp"];
+const MAX_RECIPIENTS = 10;
+const MAX_MEMO_LENGTH = 100;
+
+const TOKEN_PATTERN = /https?:\/\/\S+|@\w{1,15}|\$\s?\d(?:[\d,]*\d)?(?:\.\d+)?|\d(?:[\d,]*\d)?(?:\.\d+)?|[a-z][a-z']*|\S/gi;
+
+function tokenize(text) {
+  const tokens = [];
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    const value = match[0];
+    let type = "symbol";
+    if (/^https?:\/\//i.test(value)) type = "url";
+    else if (value.startsWith("@")) type = "mention";
+    else if (value.startsWith("$") || /^\d/.test(value)) type = "amount";
+    else if (/^[a-z]/i.test(value)) type = "word";
+    tokens.push({ type, value, lower: value.toLowerCase(), index: match.index });
+  }
+  return tokens;
+}
+
+// "$1,000.50" with 6 decimals → { rawAmount: 1000500000 }, or { reason }:
+// INVALID_AMOUNT if malformed, AMOUNT_TOO_LARGE if well-formed but past what
+// base-unit arithmetic can hold. Commas must separate groups of three digits.
+function parseAmount(value, decimals) {
+  const digits = value.replace(/^\$\s?/, "");
+  if (!/^(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$/.test(digits)) return { reason: PARSE_ERRORS.INVALID_AMOUNT };
+
+  const plain = digits.replace(/,/g, "");
+  const fraction = plain.split(".")[1] || "";
+  if (fraction.length > decimals) return { reason: PARSE_ERRORS.INVALID_AMOUNT };
+
+  // parseDecimalAmount only fails a well-formed amount when it is too large
+  const raw = parseDecimalAmount(plain, decimals);
+  if (raw === null) return { reason: PARSE_ERRORS.AMOUNT_TOO_LARGE };
+  return raw > 0 ? { rawAmount: raw } : { reason: PARSE_ERRORS.INVALID_AMOUNT };
+}
+
+function maxAmountDetail(maxAmounts, currency, decimals) {
+  return `max ${fromBaseUnits(maxAmounts[currency] ?? Number.MAX_SAFE_INTEGER, decimals[currency])} ${currency}`;
+}
+
+// A word after a bare amount names a currency only if it looks like a ticker
+// ("5 ETH", "5 eth"); "5 thanks" is a USDC amount followed by a remark
+function looksLikeTicker(token) {
+  return /^[A-Z]{2,10}$/.test(token.value) || KNOWN_TICKERS.includes(token.lower);
+}
+
+function fail(reason, detail) {
+  return { ok: false, reason, message: detail ? `${MESSAGES[reason]}: ${detail}` : MESSAGES[reason] };
+}
+
+/**
+ * Parse a payment command. Options:
+ * - botHandle: mention ignored as a recipient
+ * - sender: author's handle; paying yourself is rejected
+ * - replyToHandle: author of the replied-to post, paid by a bare "tip $2"
+ * - currencies: word → symbol map (default DEFAULT_CURRENCIES, "$" is USDC)
+ * - decimals: symbol → decimals for every supported token (default DEFAULT_DECIMALS)
+ * - maxAmounts: symbol → largest total a command may move, in base units
+ */
+export function parsePaymentCommand(text, {
+  botHandle = null,
+  sender = null,
+  replyToHandle = null,
+  currencies = DEFAULT_CURRENCIES,
+  decimals = DEFAULT_DECIMALS,
+  maxAmounts = {}
+} = {}) {
+  const tokens = tokenize(String(text || ""));
+  const bot = botHandle ? `@${botHandle.replace(/^@/, "").toLowerCase()}` : null;
+
+  const verbIndex = tokens.findIndex(t => t.type === "word" && VERBS.includes(t.lower));
+  if (verbIndex === -1) return fail(PARSE_ERRORS.NO_COMMAND);
+
+  const verb = tokens[verbIndex].lower;
+  const recipients = [];
+  const amounts = [];
+  let each = false;
+  let split = verb === "split";
+  let memo = null;
+
+  for (let i = verbIndex + 1; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token.type === "mention") {
+      if (token.lower !== bot) recipients.push(token.value.slice(1));
+      continue;
+    }
+
+    if (token.type === "amount") {
+      const next = tokens[i + 1];
+      const prev = tokens[i - 1];
+      let currency = token.value.startsWith("$") ? "USDC" : null;
+
+      // Currency word right after the amount ("5 usdc") or before it ("usdc 5")
+      if (next?.type === "word" && currencies[next.lower]) {
+        currency = currencies[next.lower];
+        i++;
+      } else if (!currency && prev?.type === "word" && currencies[prev.lower]) {
+        currency = currencies[prev.lower];
+      } else if (!currency && next?.type === "word" && !GRAMMAR_WORDS.includes(next.lower) && looksLikeTicker(next)) {
+        return fail(PARSE_ERRORS.UNKNOWN_CURRENCY, next.value);
+      }
+
+      currency = currency || "USDC";
+      if (decimals[currency] === undefined) return fail(PARSE_ERRORS.UNKNOWN_CURRENCY, currency);
+
+      const { rawAmount, reason } = parseAmount(token.value, decimals[currency]);
+      if (reason === PARSE_ERRORS.AMOUNT_TOO_LARGE) return fail(reason, maxAmountDetail(maxAmounts, currency, decimals));
+      if (reason) return fail(reason, token.value);
+
+      amounts.push({ rawAmount, currency });
+      continue;
+    }
+
+    if (token.type === "word") {
+      if (token.lower === "each") each = true;
+      else if (token.lower === "split") split = true;
+      else if (token.lower === "for" && amounts.length > 0 && (recipients.length > 0 || verb === "tip")) {
+        memo = String(text).slice(token.index + token.value.length).trim().slice(0, MAX_MEMO_LENGTH) || null;
+        break;
+      }
+    }
+  }
+
+  let tip = false;
+  if (recipients.length === 0 && verb === "tip") {
+    if (!replyToHandle) return fail(PARSE_ERRORS.NO_TIP_TARGET);
+    recipients.push(replyToHandle.replace(/^@/, ""));
+    tip = true;
+  }
+
+  if (recipients.length === 0) return fail(PARSE_ERRORS.NO_RECIPIENT);
+  if (amounts.length === 0) return fail(PARSE_ERRORS.NO_AMOUNT);
+  if (amounts.length > 1) return fail(PARSE_ERRORS.MULTIPLE_AMOUNTS);
+  if (recipients.length > MAX_RECIPIENTS) return fail(PARSE_ERRORS.TOO_MANY_RECIPIENTS);
+
+  const handles = recipients.map(h => h.toLowerCase());
+  if (new Set(handles).size !== handles.length) return fail(PARSE_ERRORS.DUPLICATE_RECIPIENT);
+  if (sender && handles.includes(sender.replace(/^@/, "").toLowerCase())) return fail(PARSE_ERRORS.SELF_PAYMENT);
+
+  if (each && split) return fail(PARSE_ERRORS.AMBIGUOUS_RECIPIENTS);
+  if (recipients.length > 1 && !each && !split) return fail(PARSE_ERRORS.AMBIGUOUS_RECIPIENTS);
+
+  const { rawAmount, currency } = amounts[0];
+  const mode = tip ? "tip" : split ? "split" : each ? "each" : "single";
+
+  let shares;
+  if (mode === "split") {
+    // Divide in base units; the remainder goes to the first recipients
+    const base = Math.floor(rawAmount / recipients.length);
+    const remainder = rawAmount - base * recipients.length;
+    shares = recipients.map((_, i) => base + (i < remainder ? 1 : 0));
+    if (base === 0) return fail(PARSE_ERRORS.INVALID_AMOUNT, "too small to split");
+  } else {
+    shares = recipients.map(() => rawAmount);
+  }
+
+  const totalRaw = shares.reduce((sum, share) => sum + share, 0);
+  const maxRaw = maxAmounts[currency] ?? Number.MAX_SAFE_INTEGER;
+  if (!Number.isSafeInteger(totalRaw) || totalRaw > maxRaw) {
+    return fail(PARSE_ERRORS.AMOUNT_TOO_LARGE, maxAmountDetail(maxAmounts, currency, decimals));
+  }
+
+  return {
+    ok: true,
+    mode,
+    currency,
+    total: fromBaseUnits(totalRaw, decimals[currency]),
+    totalRaw,
+    recipients: recipients.map((handle, i) => ({
+      handle,
+      amount: fromBaseUnits(shares[i], decimals[currency]),
+      rawAmount: shares[i]
+    })),
+    memo
+  };
+}
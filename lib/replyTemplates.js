@@ -0,0 +1,85 @@
+// lib/replyTemplates.js
+
+/**
+ * Text of the bot's replies to payment commands and claims.
+ *
+ * renderReply(kind, params) with kind one of
+ *   recorded   { sender, payments: [{ recipient, amount, paymentId, status, reason }], frontendUrl }
+ *   confirm    { sender, payments: [{ recipient, amount }], timeoutMinutes }
+ *   duplicate  { sender }
+ *   rejected   { sender, message, botHandle }
+ *   claimed    { sender, recipient, amount }
+ * where amounts are already formatted ("$5", "100 BONK"). Recorded replies
+ * link to the claim page (claimLink) when a frontend URL is set.
+ *
+ * Replies are cut to MAX_REPLY_LENGTH; X counts every link as 23 characters,
+ * so the limit is applied to the text with links shortened to that length.
+ */
+
+export const REPLY_KINDS = ["recorded", "confirm", "duplicate", "rejected", "claimed"];
+export const MAX_REPLY_LENGTH = 280;
+const LINK_LENGTH = 23;
+
+export function claimLink(frontendUrl, paymentId) {
+  if (!frontendUrl) return null;
+  return `${frontendUrl.replace(/\/+$/, "")}/claim/${encodeURIComponent(paymentId)}`;
+}
+
+// Why a recorded payment can't be claimed yet
+function heldNote(sender, reasons) {
+  if (reasons.includes("sender_unregistered")) {
+    return `⏳ @${sender} hasn't connected a wallet yet; it becomes claimable once they do.`;
+  }
+  return `⏳ Held until @${sender} authorizes enough funds.`;
+}
+
+function renderRecorded({ sender, payments, frontendUrl }) {
+  const lines = [];
+  if (payments.length === 1) {
+    const [p] = payments;
+    lines.push(`✅ @${sender} sent ${p.amount} to @${p.recipient}.`);
+    const link = claimLink(frontendUrl, p.paymentId);
+    if (link) lines.push(`Claim it: ${link}`);
+  } else {
+    lines.push(`✅ @${sender} sent ${payments.map(p => `${p.amount} to @${p.recipient}`).join(", ")}.`);
+    if (frontendUrl) lines.push(`Claim in the app: ${frontendUrl.replace(/\/+$/, "")}`);
+  }
+
+  const held = payments.filter(p => p.status === "over_committed");
+  if (held.length > 0) lines.push(heldNote(sender, held.map(p => p.reason)));
+
+  return lines.join("\n");
+}
+
+const TEMPLATES = {
+  recorded: renderRecorded,
+  confirm: ({ sender, payments, timeoutMinutes }) =>
+    `⚠️ @${sender} ${payments.map(p => `${p.amount} to @${p.recipient}`).join(", ")} is over your confirmation limit. ` +
+    `Reply "confirm" within ${timeoutMinutes} minutes to send it, or it lapses.`,
+  duplicate: ({ sender }) =>
+    `⚠️ @${sender} this matches a payment you sent in the last 2 hours, so it wasn't recorded again.`,
+  rejected: ({ sender, message, botHandle }) =>
+    `❌ @${sender} ${message}. Try: "@${botHandle} send @username $5"`,
+  claimed: ({ sender, recipient, amount }) =>
+    `🎉 @${recipient} claimed ${amount} from @${sender}.`
+};
+
+// Length as X counts it: every URL is LINK_LENGTH characters
+function displayLength(text) {
+  return [...text.replace(/https?:\/\/\S+/g, "x".repeat(LINK_LENGTH))].length;
+}
+
+function truncate(text) {
+  if (displayLength(text) <= MAX_REPLY_LENGTH) return text;
+  // Drop whole lines from the end first so links stay intact, then cut characters
+  const lines = text.split("\n");
+  while (lines.length > 1 && displayLength(lines.join("\n")) > MAX_REPLY_LENGTH) lines.pop();
+  const chars = [...lines.join("\n")];
+  return chars.length > MAX_REPLY_LENGTH ? chars.slice(0, MAX_REPLY_LENGTH - 1).join("") + "…" : chars.join("");
+}
+
+export function renderReply(kind, params) {
+  const template = TEMPLATES[kind];
+  if (!template) throw new Error(`Unknown reply kind: ${kind}`);
+  return truncate(template(params));
+}
@@ -0,0 +1,175 @@
+// lib/socialCommand.js
+
+/**
+ * Platform-neutral "social command": a post or message that may hold a payment
+ * command, whichever network it came from.
+ *
+ *   {
+ *     source: "x" | "telegram" | "farcaster",
+ *     messageId,                 // unique within the source
+ *     author: { id, handle },    // platform user ID, lowercase handle (null if the user has none)
+ *     text,
+ *     replyTo: { messageId, author: { id, handle } | null } | null,
+ *     links: [url],              // expanded URLs in the message
+ *     isRepost,                  // retweet, quote, forward or quote cast - never a command
+ *     sortKey,                   // decimal string; numeric order is posting order across sources
+ *     createdAt                  // ISO string or null
+ *   }
+ *
+ * Each adapter is a pure function of the payload the platform delivers, so it
+ * can be run against recorded fixtures. Adapters return null for payloads
+ * that aren't a new message.
+ */
+
+export const SOURCES = ["x", "telegram", "farcaster"];
+
+// X snowflake epoch (2010-11-04); tweet IDs are (ms since epoch) << 22
+const X_EPOCH_MS = 1288834974657n;
+
+// Snowflake-style sort key for a timestamp, comparable with tweet IDs
+export function snowflakeAt(ms) {
+  return String((BigInt(Math.max(Math.floor(ms), Number(X_EPOCH_MS))) - X_EPOCH_MS) << 22n);
+}
+
+// ID payments made by a command are stored under. Tweets keep their bare ID,
+// as they always have; other sources are prefixed so IDs can't collide.
+export function commandId(command) {
+  return command.source === "x" ? command.messageId : `${command.source}_${command.messageId}`;
+}
+
+function lower(value) {
+  return value ? String(value).toLowerCase() : null;
+}
+
+// Manual "RT @user ..." retweets quote someone else's command
+function isManualRetweet(text) {
+  const t = text.toLowerCase();
+  return t.startsWith("rt ") || t.includes(" rt @") || t.includes("\nrt ");
+}
+
+/**
+ * A tweet from the v2 API (search/recent) with its expansions: `users` maps
+ * user ID → lowercase handle, `referencedTweets` maps tweet ID → tweet.
+ */
+export function fromXTweet(tweet, users = {}, referencedTweets = {}) {
+  if (!tweet?.id) return null;
+
+  const text = tweet.text || "";
+  const references = tweet.referenced_tweets || [];
+  const repliedTo = references.find(r => r.type === "replied_to");
+  const parentAuthorId = repliedTo
+    ? tweet.in_reply_to_user_id || referencedTweets[repliedTo.id]?.author_id || null
+    : null;
+
+  return {
+    source: "x",
+    messageId: tweet.id,
+    author: { id: tweet.author_id || null, handle: lower(users[tweet.author_id]) },
+    text,
+    replyTo: repliedTo
+      ? {
+        messageId: repliedTo.id,
+        author: parentAuthorId ? { id: parentAuthorId, handle: lower(users[parentAuthorId]) } : null
+      }
+      : null,
+    links: (tweet.entities?.urls || []).map(u => u.expanded_url || u.url).filter(Boolean),
+    isRepost: references.some(r => r.type === "retweeted" || r.type === "quoted") || isManualRetweet(text),
+    sortKey: tweet.id,
+    createdAt: tweet.created_at || null
+  };
+}
+
+/**
+ * An entry of an Account Activity webhook's tweet_create_events (v1.1 tweet).
+ */
+export function fromXWebhookTweet(event) {
+  if (!event?.id_str || !event.user) return null;
+
+  const text = event.extended_tweet?.full_text || event.text || "";
+  const entities = event.extended_tweet?.entities || event.entities || {};
+
+  return {
+    source: "x",
+    messageId: event.id_str,
+    author: { id: event.user.id_str, handle: lower(event.user.screen_name) },
+    text,
+    replyTo: event.in_reply_to_status_id_str
+      ? {
+        messageId: event.in_reply_to_status_id_str,
+        author: event.in_reply_to_user_id_str
+          ? { id: event.in_reply_to_user_id_str, handle: lower(event.in_reply_to_screen_name) }
+          : null
+      }
+      : null,
+    links: (entities.urls || []).map(u => u.expanded_url || u.url).filter(Boolean),
+    isRepost: !!event.retweeted_status || !!event.is_quote_status || isManualRetweet(text),
+    sortKey: event.id_str,
+    createdAt: event.created_at ? new Date(event.created_at).toISOString() : null
+  };
+}
+
+// Telegram message IDs are only unique within a chat
+function telegramMessageId(message) {
+  return `${message.chat.id}_${message.message_id}`;
+}
+
+function telegramUser(user) {
+  return user ? { id: String(user.id), handle: lower(user.username) } : null;
+}
+
+/**
+ * A Bot API Update delivered to the bot's webhook. Only new messages (not
+ * edits or channel posts) can be commands.
+ */
+export function fromTelegramUpdate(update) {
+  const message = update?.message;
+  if (!message?.from || !message.chat) return null;
+
+  const text = message.text ?? message.caption ?? "";
+  const entities = message.entities || message.caption_entities || [];
+  const links = entities
+    .map(e => (e.type === "text_link" ? e.url : e.type === "url" ? text.slice(e.offset, e.offset + e.length) : null))
+    .filter(Boolean);
+  const reply = message.reply_to_message;
+
+  return {
+    source: "telegram",
+    messageId: telegramMessageId(message),
+    author: telegramUser(message.from),
+    text,
+    replyTo: reply ? { messageId: telegramMessageId(reply), author: telegramUser(reply.from) } : null,
+    links,
+    isRepost: !!(message.forward_origin || message.forward_from || message.forward_from_chat || message.forward_date),
+    sortKey: snowflakeAt(message.date * 1000),
+    createdAt: new Date(message.date * 1000).toISOString()
+  };
+}
+
+/**
+ * A "cast.created" webhook event (Neynar's cast format).
+ */
+export function fromFarcasterCast(event) {
+  const cast = event?.type === "cast.created" ? event.data : null;
+  if (!cast?.hash || !cast.author) return null;
+
+  const createdMs = cast.timestamp ? Date.parse(cast.timestamp) : Number(event.created_at) * 1000;
+  const parentFid = cast.parent_author?.fid;
+  const parentProfile = (cast.mentioned_profiles || []).find(p => p.fid === parentFid);
+
+  return {
+    source: "farcaster",
+    messageId: cast.hash,
+    author: { id: String(cast.author.fid), handle: lower(cast.author.username) },
+    text: cast.text || "",
+    replyTo: cast.parent_hash
+      ? {
+        messageId: cast.parent_hash,
+        author: parentFid ? { id: String(parentFid), handle: lower(parentProfile?.username) } : null
+      }
+      : null,
+    links: (cast.embeds || []).map(e => e.url).filter(Boolean),
+    isRepost: (cast.embeds || []).some(e => e.cast_id || e.cast),
+    sortKey: snowflakeAt(Number.isFinite(createdMs) ? createdMs : Date.now()),
+    createdAt: Number.isFinite(createdMs) ? new Date(createdMs).toISOString() : null
+  };
+}
@@ -0,0 +1,259 @@
+// lib/solanaTransactions.js
+import {
+  ComputeBudgetProgram,
+  TransactionMessage,
+  VersionedTransaction,
+  TransactionExpiredBlockheightExceededError
+} from "@solana/web3.js";
+import bs58 from "bs58";
+
+// Stable error codes reported to routes and clients
+export const TX_ERROR_CODES = {
+  INSUFFICIENT_FUNDS: "INSUFFICIENT_FUNDS",           // token account can't cover the transfer
+  INSUFFICIENT_FEE_BALANCE: "INSUFFICIENT_FEE_BALANCE", // fee payer is out of SOL
+  BLOCKHASH_EXPIRED: "BLOCKHASH_EXPIRED",
+  RPC_ERROR: "RPC_ERROR",
+  TRANSACTION_FAILED: "TRANSACTION_FAILED",
+  ABORTED: "ABORTED"
+};
+
+const DEFAULT_OPTIONS = {
+  maxAttempts: 3,
+  minPriorityFee: 1_000,       // microLamports per CU
+  maxPriorityFee: 500_000,
+  feePercentile: 0.75,
+  computeUnitMargin: 1.2,
+  minComputeUnits: 20_000,
+  fallbackComputeUnits: 200_000
+};
+
+// SPL Token program custom error 1 = InsufficientFunds
+const TOKEN_INSUFFICIENT_FUNDS = 1;
+
+// HTTP statuses as web3.js reports them ("429 Too Many Requests: ...",
+// "server responded with 503"), not the same digits inside a signature,
+// account or log line. Matched against lowercased error text.
+const HTTP_RETRY_STATUS = /\b(?:429 too many requests|502 bad gateway|503 service unavailable)\b|\b(?:status(?: code)?:? ?|responded with )(?:429|502|503)\b/;
+
+/**
+ * Map an RPC/transaction error (thrown error, TransactionError object, or
+ * simulation logs) to one of TX_ERROR_CODES.
+ */
+export function classifyTransactionError(err, logs = []) {
+  if (err instanceof TransactionExpiredBlockheightExceededError) {
+    return TX_ERROR_CODES.BLOCKHASH_EXPIRED;
+  }
+
+  const text = [
+    typeof err === "string" ? err : err?.message || JSON.stringify(err ?? ""),
+    ...(logs || []),
+    ...(err?.logs || [])
+  ].join("\n").toLowerCase();
+
+  if (text.includes("blockhash not found") || text.includes("block height exceeded") || text.includes("blockhashnotfound")) {
+    return TX_ERROR_CODES.BLOCKHASH_EXPIRED;
+  }
+
+  if (
+    text.includes("insufficientfundsforfee") ||
+    text.includes("no record of a prior credit") ||
+    text.includes("insufficient lamports")
+  ) {
+    return TX_ERROR_CODES.INSUFFICIENT_FEE_BALANCE;
+  }
+
+  const custom = err?.InstructionError?.[1]?.Custom;
+  if (custom === TOKEN_INSUFFICIENT_FUNDS || text.includes("insufficient funds")) {
+    return TX_ERROR_CODES.INSUFFICIENT_FUNDS;
+  }
+
+  if (
+    text.includes("fetch failed") ||
+    text.includes("econn") ||
+    text.includes("etimedout") ||
+    text.includes("socket hang up") ||
+    HTTP_RETRY_STATUS.test(text) ||
+    text.includes("failed to get") ||
+    text.includes("timed out")
+  ) {
+    return TX_ERROR_CODES.RPC_ERROR;
+  }
+
+  return TX_ERROR_CODES.TRANSACTION_FAILED;
+}
+
+/**
+ * Estimate a priority fee (microLamports per CU) from recent prioritization
+ * fees paid for the writable accounts we lock.
+ */
+export async function estimatePriorityFee(connection, writableAccounts, options = {}) {
+  const { minPriorityFee, maxPriorityFee, feePercentile } = { ...DEFAULT_OPTIONS, ...options };
+
+  try {
+    const recent = await connection.getRecentPrioritizationFees({
+      lockedWritableAccounts: writableAccounts
+    });
+    const fees = recent.map(f => f.prioritizationFee).filter(f => f > 0).sort((a, b) => a - b);
+    if (fees.length === 0) return minPriorityFee;
+
+    const fee = fees[Math.min(fees.length - 1, Math.floor(fees.length * feePercentile))];
+    return Math.min(maxPriorityFee, Math.max(minPriorityFee, fee));
+  } catch (e) {
+    console.warn("⚠️ Priority fee estimate failed, using minimum:", e.message);
+    return minPriorityFee;
+  }
+}
+
+function buildTransaction(payer, instructions, blockhash, priorityFee, computeUnits) {
+  const message = new TransactionMessage({
+    payerKey: payer.publicKey,
+    recentBlockhash: blockhash,
+    instructions: [
+      ComputeBudgetProgram.setComputeUnitPrice({ microLamports: priorityFee }),
+      ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnits }),
+      ...instructions
+    ]
+  }).compileToV0Message();
+
+  return new VersionedTransaction(message);
+}
+
+function writableAccountsOf(instructions) {
+  const keys = new Map();
+  for (const ix of instructions) {
+    for (const meta of ix.keys) {
+      if (meta.isWritable) keys.set(meta.pubkey.toBase58(), meta.pubkey);
+    }
+  }
+  return [...keys.values()];
+}
+
+/**
+ * Build, simulate, sign, send and confirm a transaction paid for by `payer`.
+ *
+ * Priority fee comes from recent prioritization fees, the compute unit limit
+ * from a simulation. When the blockhash expires before confirmation the
+ * transaction is re-signed with a fresh blockhash and re-sent, unless the
+ * expired one was processed but not yet confirmed: then it fails unlanded
+ * and is left to be resolved from its signature.
+ *
+ * `onSigned(signature, lastValidBlockHeight)` runs before each send; returning
+ * false aborts without sending (e.g. a lost claim lock).
+ *
+ * Resolves to { success, signature, code, error, logs, landed, attempts,
+ * priorityFee, computeUnits }. `landed` is true when the transaction made it
+ * on-chain (successfully or not); `signature` is the last one sent, if any.
+ */
+export async function sendTransaction(connection, payer, instructions, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const result = {
+    success: false,
+    signature: null,
+    code: null,
+    error: null,
+    logs: null,
+    landed: false,
+    attempts: 0,
+    priorityFee: null,
+    computeUnits: null
+  };
+
+  const fail = (code, error, logs = null) => Object.assign(result, { code, error, logs });
+
+  try {
+    result.priorityFee = await estimatePriorityFee(connection, writableAccountsOf(instructions), opts);
+
+    // Simulate with a generous limit to size the compute budget
+    const { blockhash: simBlockhash } = await connection.getLatestBlockhash("confirmed");
+    const simTx = buildTransaction(payer, instructions, simBlockhash, result.priorityFee, 1_400_000);
+    const { value: sim } = await connection.simulateTransaction(simTx, {
+      sigVerify: false,
+      replaceRecentBlockhash: true
+    });
+
+    if (sim.err) {
+      return fail(classifyTransactionError(sim.err, sim.logs), `Simulation failed: ${JSON.stringify(sim.err)}`, sim.logs);
+    }
+
+    result.computeUnits = sim.unitsConsumed
+      ? Math.max(opts.minComputeUnits, Math.ceil(sim.unitsConsumed * opts.computeUnitMargin))
+      : opts.fallbackComputeUnits;
+  } catch (e) {
+    return fail(classifyTransactionError(e), e.message, e.logs || null);
+  }
+
+  while (result.attempts < opts.maxAttempts) {
+    result.attempts++;
+
+    try {
+      const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash("confirmed");
+      const tx = buildTransaction(payer, instructions, blockhash, result.priorityFee, result.computeUnits);
+      tx.sign([payer, ...(opts.signers || [])]);
+
+      const signature = bs58.encode(tx.signatures[0]);
+
+      if (opts.onSigned) {
+        const proceed = await opts.onSigned(signature, lastValidBlockHeight);
+        if (proceed === false) {
+          return fail(TX_ERROR_CODES.ABORTED, "Aborted before sending");
+        }
+      }
+
+      result.signature = signature;
+
+      // Already simulated above, so skip preflight for speed
+      await connection.sendRawTransaction(tx.serialize(), { skipPreflight: true, maxRetries: 3 });
+
+      const confirmation = await connection.confirmTransaction({
+        signature,
+        blockhash,
+        lastValidBlockHeight
+      }, "confirmed");
+
+      if (confirmation.value.err) {
+        result.landed = true;
+        return fail(classifyTransactionError(confirmation.value.err), `Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
+      }
+
+      result.landed = true;
+      result.success = true;
+      result.code = null;
+      result.error = null;
+      return result;
+    } catch (e) {
+      const code = classifyTransactionError(e);
+      fail(code, e.message, e.logs || null);
+
+      if (code !== TX_ERROR_CODES.BLOCKHASH_EXPIRED) return result;
+
+      // Make sure the expired transaction really didn't land before re-signing
+      if (result.signature) {
+        try {
+          const { value } = await connection.getSignatureStatus(result.signature, { searchTransactionHistory: true });
+          if (value?.err) {
+            result.landed = true;
+            return fail(classifyTransactionError(value.err), `Transaction failed: ${JSON.stringify(value.err)}`);
+          }
+          if (value?.confirmationStatus === "confirmed" || value?.confirmationStatus === "finalized") {
+            result.landed = true;
+            result.success = true;
+            result.code = null;
+            result.error = null;
+            return result;
+          }
+          // Only processed: it may still land or be dropped, so don't re-sign.
+          // The caller leaves it to be resolved from the recorded signature.
+          if (value) {
+            return fail(TX_ERROR_CODES.BLOCKHASH_EXPIRED, `Transaction ${result.signature} is only processed; outcome unresolved`);
+          }
+        } catch (statusErr) {
+          return fail(TX_ERROR_CODES.RPC_ERROR, statusErr.message);
+        }
+      }
+
+      console.warn(`🔁 Blockhash expired, re-signing (attempt ${result.attempts + 1}/${opts.maxAttempts})`);
+    }
+  }
+
+  return result;
+}
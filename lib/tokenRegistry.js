@@ -0,0 +1,136 @@
+// lib/tokenRegistry.js
+
+/**
+ * Registry of the SPL tokens payments can be made in.
+ *
+ * Configured as comma-separated "SYMBOL:mint:decimals[:program]" entries,
+ * program being "token" (default) or "token-2022". SOL is paid as wrapped SOL
+ * (NATIVE_MINT_ADDRESS), since only token accounts can delegate to the vault.
+ *
+ * Money is integer base units (amount_raw) in storage and arithmetic, and a
+ * decimal string ("5.25") wherever it is shown or sent to clients. Floats are
+ * only ever read from records made before that, via toBaseUnits().
+ */
+
+export const NATIVE_MINT_ADDRESS = "So11111111111111111111111111111111111111112";
+
+// Words that name a token in commands besides its symbol
+const TOKEN_ALIASES = {
+  USDC: ["usd", "dollar", "dollars", "buck", "bucks"],
+  SOL: ["wsol"]
+};
+
+export function parseTokenList(value) {
+  const tokens = [];
+  for (const item of (value || "").split(",").map(s => s.trim()).filter(Boolean)) {
+    const [symbol, mint, decimals, program = "token"] = item.split(":").map(s => s.trim());
+    if (!symbol || !mint || !Number.isInteger(Number(decimals)) || !["token", "token-2022"].includes(program)) {
+      console.warn(`⚠️ Invalid token entry "${item}" - ignoring`);
+      continue;
+    }
+    tokens.push({ symbol: symbol.toUpperCase(), mint, decimals: Number(decimals), program });
+  }
+  return tokens;
+}
+
+// "1000.5" with 6 decimals → 1000500000, or null if it isn't a plain decimal,
+// has more fractional digits than the token allows, or isn't a safe integer
+export function parseDecimalAmount(value, decimals) {
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(String(value ?? "").trim());
+  if (!match) return null;
+
+  const [, whole, fraction = ""] = match;
+  if (fraction.length > decimals) return null;
+
+  const raw = Number(whole + fraction.padEnd(decimals, "0"));
+  return Number.isSafeInteger(raw) ? raw : null;
+}
+
+// Base units of a stored amount: a decimal string, or a legacy float rounded
+// to the token's precision
+export function toBaseUnits(amount, decimals) {
+  if (typeof amount === "number") {
+    return parseDecimalAmount(amount.toFixed(decimals), decimals) ?? 0;
+  }
+  return parseDecimalAmount(amount || "0", decimals) ?? 0;
+}
+
+// 1000500000 with 6 decimals → "1000.5"
+export function fromBaseUnits(rawAmount, decimals) {
+  const digits = String(Math.trunc(Number(rawAmount || 0))).padStart(decimals + 1, "0");
+  if (decimals === 0) return digits;
+  const whole = digits.slice(0, -decimals);
+  const fraction = digits.slice(-decimals).replace(/0+$/, "");
+  return fraction ? `${whole}.${fraction}` : whole;
+}
+
+// Parse "SYMBOL:max,..." (max in token units) into symbol → max base units
+export function parseAmountLimits(value, tokens) {
+  const limits = {};
+  for (const item of (value || "").split(",").map(s => s.trim()).filter(Boolean)) {
+    const [symbol, max] = item.split(":").map(s => s.trim());
+    const token = tokens.find(t => t.symbol === symbol?.toUpperCase());
+    const maxRaw = token ? parseDecimalAmount(max, token.decimals) : null;
+    if (!maxRaw) {
+      console.warn(`⚠️ Invalid amount limit "${item}" - ignoring`);
+      continue;
+    }
+    limits[token.symbol] = maxRaw;
+  }
+  return limits;
+}
+
+export function formatTokenAmount(amount, symbol) {
+  return symbol === "USDC" ? `$${amount}` : `${amount} ${symbol}`;
+}
+
+/**
+ * Build lookups over a parsed token list. The first token is the default,
+ * used for records made before payments carried a token. `limits` (symbol →
+ * max base units per payment command) sets each token's maxRaw; tokens
+ * without one are only bounded by safe-integer arithmetic.
+ */
+export function createTokenRegistry(parsedTokens, limits = {}) {
+  const tokens = parsedTokens.map(t => ({ ...t, maxRaw: limits[t.symbol] || Number.MAX_SAFE_INTEGER }));
+  const bySymbol = new Map(tokens.map(t => [t.symbol, t]));
+  const byMint = new Map(tokens.map(t => [t.mint, t]));
+  const defaultToken = tokens[0];
+
+  return {
+    tokens,
+    defaultToken,
+
+    get(symbol) {
+      return bySymbol.get(String(symbol || "").toUpperCase()) || null;
+    },
+
+    getByMint(mint) {
+      return byMint.get(mint) || null;
+    },
+
+    // Token of a payment document; older payments have no token field
+    forRecord(record) {
+      return bySymbol.get(record?.token || defaultToken.symbol) || null;
+    },
+
+    // word → symbol map for the command parser
+    currencyWords() {
+      const words = {};
+      for (const t of tokens) {
+        words[t.symbol.toLowerCase()] = t.symbol;
+        for (const alias of TOKEN_ALIASES[t.symbol] || []) words[alias] = t.symbol;
+      }
+      return words;
+    },
+
+    // symbol → decimals map for the command parser
+    decimals() {
+      return Object.fromEntries(tokens.map(t => [t.symbol, t.decimals]));
+    },
+
+    // symbol → max base units map for the command parser
+    maxAmounts() {
+      return Object.fromEntries(tokens.map(t => [t.symbol, t.maxRaw]));
+    }
+  };
+}
@@ -0,0 +1,104 @@
+// lib/tokenTransfers.js
+
+/**
+ * Extract SPL Token / Token-2022 transfers (top-level and inner instructions)
+ * from a jsonParsed transaction. Owners and mints are resolved from the
+ * transaction's token balances.
+ *
+ * Returns [{ source, destination, sourceOwner, destinationOwner, authority, mint, rawAmount }].
+ */
+export function extractTokenTransfers(parsedTx) {
+  const accountKeys = parsedTx.transaction.message.accountKeys.map(k => k.pubkey.toBase58());
+  const balances = [...(parsedTx.meta?.preTokenBalances || []), ...(parsedTx.meta?.postTokenBalances || [])];
+
+  // token account address → { owner, mint }
+  const tokenAccounts = {};
+  for (const b of balances) {
+    tokenAccounts[accountKeys[b.accountIndex]] = { owner: b.owner, mint: b.mint };
+  }
+
+  const instructions = [
+    ...parsedTx.transaction.message.instructions,
+    ...(parsedTx.meta?.innerInstructions || []).flatMap(inner => inner.instructions)
+  ];
+
+  const transfers = [];
+  for (const ix of instructions) {
+    if ((ix.program !== "spl-token" && ix.program !== "spl-token-2022") || !ix.parsed) continue;
+    if (ix.parsed.type !== "transfer" && ix.parsed.type !== "transferChecked") continue;
+
+    const info = ix.parsed.info;
+    const source = tokenAccounts[info.source] || {};
+    const destination = tokenAccounts[info.destination] || {};
+
+    transfers.push({
+      source: info.source,
+      destination: info.destination,
+      sourceOwner: source.owner || null,
+      destinationOwner: destination.owner || null,
+      authority: info.authority || info.multisigAuthority || null,
+      mint: info.mint || source.mint || destination.mint || null,
+      rawAmount: Number(info.amount ?? info.tokenAmount?.amount ?? 0)
+    });
+  }
+
+  return transfers;
+}
+
+/**
+ * Verify a deposit transaction: total raw amount of `mint` moved into
+ * `vaultTokenAccount` from token accounts owned (and signed for) by `wallet`.
+ *
+ * Returns { rawAmount } or { error } with a reason the deposit can't be credited.
+ */
+export function verifyDepositTransaction(parsedTx, { mint, vaultTokenAccount, wallet }) {
+  if (!parsedTx) {
+    return { error: "Transaction not found or not yet confirmed" };
+  }
+  if (parsedTx.meta?.err) {
+    return { error: "Transaction failed on-chain" };
+  }
+
+  const deposits = extractTokenTransfers(parsedTx).filter(t =>
+    t.destination === vaultTokenAccount &&
+    t.mint === mint &&
+    t.authority === wallet &&
+    t.sourceOwner === wallet
+  );
+
+  if (deposits.length === 0) {
+    return { error: "Transaction has no transfer of the deposit token from your wallet into the vault" };
+  }
+
+  return { rawAmount: deposits.reduce((sum, t) => sum + t.rawAmount, 0) };
+}
+
+/**
+ * Verify a delegation transaction: an SPL Approve / ApproveChecked of
+ * `tokenAccount` (owned by `wallet`) to `delegate`.
+ *
+ * Returns { rawAmount } of the last matching approval, or { error }.
+ */
+export function verifyApprovalTransaction(parsedTx, { tokenAccount, delegate, wallet }) {
+  if (!parsedTx) {
+    return { error: "Transaction not found or not yet confirmed" };
+  }
+  if (parsedTx.meta?.err) {
+    return { error: "Transaction failed on-chain" };
+  }
+
+  const approvals = parsedTx.transaction.message.instructions.filter(ix =>
+    (ix.program === "spl-token" || ix.program === "spl-token-2022") &&
+    (ix.parsed?.type === "approve" || ix.parsed?.type === "approveChecked") &&
+    ix.parsed.info.source === tokenAccount &&
+    ix.parsed.info.delegate === delegate &&
+    ix.parsed.info.owner === wallet
+  );
+
+  if (approvals.length === 0) {
+    return { error: "Transaction has no approval of your token account to the vault" };
+  }
+
+  const info = approvals[approvals.length - 1].parsed.info;
+  return { rawAmount: Number(info.amount ?? info.tokenAmount?.amount ?? 0) };
+}
@@ -0,0 +1,169 @@
+// lib/xClient.js
+import crypto from "crypto";
+import fetch from "node-fetch";
+
+/**
+ * Client for the X API v2 that tracks each endpoint's rate limit from the
+ * x-rate-limit-* response headers.
+ *
+ * Reads (get) use the app bearer token. Writes (post) act as the bot account
+ * and need `userAuth` ({ consumerKey, consumerSecret, accessToken,
+ * accessSecret }) for OAuth 1.0a signing.
+ *
+ * An endpoint whose quota is used up is not called again until its reset
+ * time; a 429 without reset headers backs off exponentially. Reads are
+ * retried a few times on 5xx responses and network errors; writes are not,
+ * since X may have applied them.
+ *
+ * Requests resolve to { status, ok, data } or { rateLimited: true, resetAt }
+ * (epoch ms), so callers can reschedule for exactly when quota returns.
+ */
+
+const API_BASE = "https://api.twitter.com";
+const MIN_BACKOFF_MS = 60 * 1000;            // first 429 without reset headers
+const MAX_BACKOFF_MS = 15 * 60 * 1000;       // X rate-limit windows are 15 minutes
+const RETRY_DELAYS_MS = [1000, 3000];        // 5xx / network errors on reads
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// RFC 3986 percent-encoding, as OAuth 1.0a requires
+function percentEncode(value) {
+  return encodeURIComponent(String(value)).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// OAuth 1.0a HMAC-SHA1 Authorization header. JSON bodies are not part of the signature.
+function oauthHeader(method, url, { consumerKey, consumerSecret, accessToken, accessSecret }) {
+  const oauth = {
+    oauth_consumer_key: consumerKey,
+    oauth_nonce: crypto.randomBytes(16).toString("hex"),
+    oauth_signature_method: "HMAC-SHA1",
+    oauth_timestamp: String(Math.floor(Date.now() / 1000)),
+    oauth_token: accessToken,
+    oauth_version: "1.0"
+  };
+
+  const { origin, pathname, searchParams } = new URL(url);
+  const paramString = [...Object.entries(oauth), ...searchParams.entries()]
+    .map(([k, v]) => [percentEncode(k), percentEncode(v)])
+    .sort(([a, x], [b, y]) => (a === b ? (x < y ? -1 : 1) : a < b ? -1 : 1))
+    .map(([k, v]) => `${k}=${v}`)
+    .join("&");
+
+  const baseString = [method.toUpperCase(), percentEncode(`${origin}${pathname}`), percentEncode(paramString)].join("&");
+  const signingKey = `${percentEncode(consumerSecret)}&${percentEncode(accessSecret)}`;
+  oauth.oauth_signature = crypto.createHmac("sha1", signingKey).update(baseString).digest("base64");
+
+  return "OAuth " + Object.entries(oauth).map(([k, v]) => `${percentEncode(k)}="${percentEncode(v)}"`).join(", ");
+}
+
+export function createXClient({ bearerToken, userAuth = null, baseUrl = API_BASE }) {
+  // endpoint ("/2/tweets/search/recent", "POST /2/tweets") → { limit, remaining, resetAt, backoffMs }
+  const limits = new Map();
+
+  const endpointKey = (method, path) => (method === "GET" ? path : `${method} ${path}`);
+
+  function state(key) {
+    if (!limits.has(key)) {
+      limits.set(key, { limit: null, remaining: null, resetAt: null, backoffMs: 0 });
+    }
+    return limits.get(key);
+  }
+
+  function readHeaders(key, headers) {
+    const s = state(key);
+    const limit = headers.get("x-rate-limit-limit");
+    const remaining = headers.get("x-rate-limit-remaining");
+    const reset = headers.get("x-rate-limit-reset"); // epoch seconds
+    if (limit !== null) s.limit = Number(limit);
+    if (remaining !== null) s.remaining = Number(remaining);
+    if (reset !== null) s.resetAt = Number(reset) * 1000;
+  }
+
+  // Epoch ms until which the endpoint must not be called, or null if it may be
+  function blockedUntil(path, method = "GET") {
+    const s = state(endpointKey(method, path));
+    if (s.remaining === 0 && s.resetAt && s.resetAt > Date.now()) {
+      return s.resetAt;
+    }
+    return null;
+  }
+
+  async function request(method, path, { params = {}, body = null } = {}) {
+    const key = endpointKey(method, path);
+    const until = blockedUntil(path, method);
+    if (until) return { rateLimited: true, resetAt: until };
+
+    const query = new URLSearchParams(params).toString();
+    const url = `${baseUrl}${path}${query ? `?${query}` : ""}`;
+    const retries = method === "GET" ? RETRY_DELAYS_MS : [];
+
+    for (let attempt = 0; ; attempt++) {
+      const headers = {
+        Authorization: method === "GET" ? `Bearer ${bearerToken}` : oauthHeader(method, url, userAuth)
+      };
+      if (body) headers["Content-Type"] = "application/json";
+
+      let response;
+      try {
+        response = await fetch(url, { method, headers, body: body ? JSON.stringify(body) : undefined });
+      } catch (e) {
+        if (attempt >= retries.length) throw e;
+        await sleep(retries[attempt]);
+        continue;
+      }
+
+      readHeaders(key, response.headers);
+      const s = state(key);
+
+      if (response.status === 429) {
+        // Trust the reset header; without one, back off exponentially
+        if (!s.resetAt || s.resetAt <= Date.now()) {
+          s.backoffMs = Math.min(MAX_BACKOFF_MS, s.backoffMs ? s.backoffMs * 2 : MIN_BACKOFF_MS);
+          s.resetAt = Date.now() + s.backoffMs;
+        }
+        s.remaining = 0;
+        return { rateLimited: true, resetAt: s.resetAt };
+      }
+      s.backoffMs = 0;
+
+      if (response.status >= 500 && attempt < retries.length) {
+        await sleep(retries[attempt]);
+        continue;
+      }
+
+      const text = await response.text();
+      let data = null;
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch (e) {
+        data = { raw: text };
+      }
+      return { status: response.status, ok: response.ok, data };
+    }
+  }
+
+  function get(path, params = {}) {
+    return request("GET", path, { params });
+  }
+
+  function post(path, body) {
+    if (!userAuth) throw new Error("X user credentials are required to post");
+    return request("POST", path, { body });
+  }
+
+  // Quota snapshot per endpoint, for status endpoints
+  function rateLimits() {
+    const snapshot = {};
+    for (const [key, s] of limits) {
+      snapshot[key] = {
+        limit: s.limit,
+        remaining: s.remaining,
+        reset_at: s.resetAt ? new Date(s.resetAt).toISOString() : null,
+        blocked: s.remaining === 0 && !!s.resetAt && s.resetAt > Date.now()
+      };
+    }
+    return snapshot;
+  }
+
+  return { get, post, blockedUntil, rateLimits, canPost: !!userAuth };
+}
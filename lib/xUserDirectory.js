@@ -0,0 +1,125 @@
+// lib/xUserDirectory.js
+
+/**
+ * Cached lookups between X handles and user IDs. Handles can be renamed and
+ * later claimed by someone else; the user ID never changes, so it is what
+ * payments and users are bound to.
+ *
+ * Entries come from the users lookup endpoints or are remembered from API
+ * responses that already carry both (search expansions, webhook events).
+ * Handles X reports as not found are cached as null for a shorter time.
+ *
+ * Resolvers return a Map holding only what could be resolved: handle → id
+ * (or null for no such account). A handle missing from the map couldn't be
+ * looked up right now (rate limit, API error) - callers must not treat that
+ * as "no account".
+ */
+
+const DEFAULT_TTL_MS = 6 * 60 * 60 * 1000;      // 6 hours
+const NOT_FOUND_TTL_MS = 30 * 60 * 1000;        // 30 minutes
+const LOOKUP_BATCH = 100;                        // max usernames / ids per request
+
+function normalize(handle) {
+  return String(handle || "").replace(/^@/, "").toLowerCase();
+}
+
+export function createXUserDirectory({ xClient, ttlMs = DEFAULT_TTL_MS }) {
+  const byHandle = new Map(); // handle → { id, expiresAt }
+  const byId = new Map();     // id → { handle, expiresAt }
+
+  function remember(id, handle) {
+    const h = normalize(handle);
+    if (!id || !h) return;
+    const expiresAt = Date.now() + ttlMs;
+    byHandle.set(h, { id: String(id), expiresAt });
+    byId.set(String(id), { handle: h, expiresAt });
+  }
+
+  function fresh(map, key) {
+    const entry = map.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      map.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  // Look up `keys` in batches; stops quietly at a rate limit or API error
+  async function lookup(path, param, keys, onUser, onMissing) {
+    for (let i = 0; i < keys.length; i += LOOKUP_BATCH) {
+      const batch = keys.slice(i, i + LOOKUP_BATCH);
+      let response;
+      try {
+        response = await xClient.get(path, { [param]: batch.join(",") });
+      } catch (e) {
+        console.warn(`⚠️ X user lookup failed: ${e.message}`);
+        return;
+      }
+      if (response.rateLimited) {
+        console.warn(`⚠️ X user lookup rate limited until ${new Date(response.resetAt).toISOString()}`);
+        return;
+      }
+      if (!response.ok) {
+        console.warn(`⚠️ X user lookup error: ${JSON.stringify(response.data)}`);
+        return;
+      }
+
+      for (const user of response.data?.data || []) onUser(user);
+      for (const err of response.data?.errors || []) {
+        if (err.resource_type === "user" && err.value) onMissing(err.value);
+      }
+    }
+  }
+
+  async function resolveHandles(handles) {
+    const result = new Map();
+    const missing = [];
+
+    for (const handle of new Set(handles.map(normalize).filter(Boolean))) {
+      const entry = fresh(byHandle, handle);
+      if (entry) result.set(handle, entry.id);
+      else missing.push(handle);
+    }
+
+    if (missing.length > 0 && xClient) {
+      await lookup("/2/users/by", "usernames", missing,
+        (user) => {
+          remember(user.id, user.username);
+          result.set(normalize(user.username), user.id);
+        },
+        (value) => {
+          const handle = normalize(value);
+          byHandle.set(handle, { id: null, expiresAt: Date.now() + NOT_FOUND_TTL_MS });
+          result.set(handle, null);
+        });
+    }
+
+    return result;
+  }
+
+  // id → current handle (or null for a deleted / suspended account)
+  async function resolveIds(ids) {
+    const result = new Map();
+    const missing = [];
+
+    for (const id of new Set(ids.map(String).filter(Boolean))) {
+      const entry = fresh(byId, id);
+      if (entry) result.set(id, entry.handle);
+      else missing.push(id);
+    }
+
+    if (missing.length > 0 && xClient) {
+      await lookup("/2/users", "ids", missing,
+        (user) => {
+          remember(user.id, user.username);
+          result.set(String(user.id), normalize(user.username));
+        },
+        (value) => result.set(String(value), null));
+    }
+
+    return result;
+  }
+
+  return { remember, resolveHandles, resolveIds };
+}
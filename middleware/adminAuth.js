@@ -0,0 +1,163 @@
+// middleware/adminAuth.js
+import crypto from "crypto";
+
+/**
+ * Admin roles, lowest to highest. A higher role can do everything a lower one can:
+ * - operator: manage lotteries, rescans, reports
+ * - treasurer: everything above plus anything that moves vault funds
+ */
+export const ADMIN_ROLES = {
+  operator: 1,
+  treasurer: 2
+};
+
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Signatures already accepted, kept until their timestamp falls outside the
+ * clock-skew window so a captured request can't be replayed within it.
+ * In memory, so it covers one process.
+ */
+function createUsedSignatures() {
+  const expiries = new Map(); // signature → ms after which its timestamp is rejected anyway
+
+  return {
+    // Record `signature`; false if it was already used
+    use(signature, timestamp) {
+      const now = Date.now();
+      for (const [used, expiresAt] of expiries) {
+        if (expiresAt < now) expiries.delete(used);
+      }
+      if (expiries.has(signature)) return false;
+      expiries.set(signature, timestamp + MAX_CLOCK_SKEW_MS);
+      return true;
+    }
+  };
+}
+
+/**
+ * Parse "id:role,id:role" (role optional) into a Map of id → role.
+ */
+export function parseAdminList(value, defaultRole = "operator") {
+  const entries = new Map();
+  for (const item of (value || "").split(",").map(s => s.trim()).filter(Boolean)) {
+    const [id, role = defaultRole] = item.split(":").map(s => s.trim());
+    if (!ADMIN_ROLES[role]) {
+      console.warn(`⚠️ Unknown admin role "${role}" for ${id.slice(0, 8)}... - ignoring`);
+      continue;
+    }
+    entries.set(id, role);
+  }
+  return entries;
+}
+
+/**
+ * The message an admin wallet signs for a request. Binds the signature to the
+ * method, path, timestamp and exact request body.
+ */
+export function adminSignatureMessage(method, path, timestamp, rawBody) {
+  const bodyHash = crypto.createHash("sha256").update(rawBody || "").digest("hex");
+  return `WASSY admin request\n${method.toUpperCase()} ${path}\nTimestamp: ${timestamp}\nBody SHA-256: ${bodyHash}`;
+}
+
+export function hasAdminCredentials(req) {
+  return !!(req.headers["x-admin-key"] || req.headers["x-admin-wallet"]);
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest();
+}
+
+function findApiKeyRole(apiKeys, provided) {
+  const providedHash = sha256(provided);
+  for (const [key, role] of apiKeys) {
+    if (crypto.timingSafeEqual(sha256(key), providedHash)) return role;
+  }
+  return null;
+}
+
+/**
+ * Build the admin authorization layer.
+ *
+ * Requests authenticate either with an API key (`x-admin-key`) or a wallet
+ * signature (`x-admin-wallet`, `x-admin-timestamp`, `x-admin-signature` over
+ * adminSignatureMessage()). Each signature is accepted once. Every attempt,
+ * allowed or denied, is passed to `audit(entry)`.
+ *
+ * Returns requireAdmin(role) which produces Express middleware; on success it
+ * sets req.admin = { id, role, method }.
+ */
+export function createAdminAuth({ wallets, apiKeys, verifySignature, audit }) {
+  const usedSignatures = createUsedSignatures();
+
+  function identify(req) {
+    const apiKey = req.headers["x-admin-key"];
+    if (apiKey) {
+      const role = findApiKeyRole(apiKeys, String(apiKey));
+      if (!role) return { error: "Invalid admin API key" };
+      return { admin: { id: `key:${sha256(String(apiKey)).toString("hex").slice(0, 12)}`, role, method: "api_key" } };
+    }
+
+    const wallet = req.headers["x-admin-wallet"];
+    const timestamp = Number(req.headers["x-admin-timestamp"]);
+    const signature = req.headers["x-admin-signature"];
+
+    if (!wallet || !timestamp || !signature) {
+      return { error: "Admin credentials required" };
+    }
+
+    const role = wallets.get(wallet);
+    if (!role) return { error: "Wallet is not an admin" };
+
+    if (Math.abs(Date.now() - timestamp) > MAX_CLOCK_SKEW_MS) {
+      return { error: "Admin signature expired" };
+    }
+
+    const path = req.originalUrl.split("?")[0];
+    const message = adminSignatureMessage(req.method, path, timestamp, req.rawBody);
+    if (!verifySignature(wallet, message, signature)) {
+      return { error: "Invalid admin signature" };
+    }
+    if (!usedSignatures.use(String(signature), timestamp)) {
+      return { error: "Admin signature already used" };
+    }
+
+    return { admin: { id: wallet, role, method: "wallet" } };
+  }
+
+  return function requireAdmin(requiredRole) {
+    return function (req, res, next) {
+      const path = req.originalUrl.split("?")[0];
+      const { admin, error } = identify(req);
+
+      if (error || ADMIN_ROLES[admin.role] < ADMIN_ROLES[requiredRole]) {
+        const reason = error || `Requires ${requiredRole} role`;
+        audit({
+          admin_id: admin?.id || req.headers["x-admin-wallet"] || null,
+          role: admin?.role || null,
+          method: req.method,
+          path,
+          body: req.body || null,
+          outcome: "denied",
+          reason
+        });
+        return res.status(error ? 401 : 403).json({ success: false, message: reason });
+      }
+
+      req.admin = admin;
+      res.on("finish", () => {
+        audit({
+          admin_id: admin.id,
+          role: admin.role,
+          auth_method: admin.method,
+          method: req.method,
+          path,
+          body: req.body || null,
+          outcome: res.statusCode < 400 ? "success" : "error",
+          status_code: res.statusCode
+        });
+      });
+      next();
+    };
+  };
+}
@@ -0,0 +1,71 @@
+// middleware/sessionAuth.js
+import crypto from "crypto";
+
+/**
+ * Short-lived session tokens issued by /api/login after the wallet signature
+ * and X identity have been verified.
+ *
+ * Token format: base64url(JSON claims) + "." + base64url(HMAC-SHA256).
+ * Claims: { sub: x handle, wallet, x_user_id, iat, exp }.
+ */
+export function createSessionToken(secret, claims, ttlMs) {
+  const now = Date.now();
+  const payload = Buffer.from(JSON.stringify({
+    ...claims,
+    iat: now,
+    exp: now + ttlMs
+  })).toString("base64url");
+
+  const mac = crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+  return `${payload}.${mac}`;
+}
+
+/**
+ * Returns the token's claims, or null if it is malformed, tampered with or expired.
+ */
+export function verifySessionToken(secret, token) {
+  if (!token || typeof token !== "string") return null;
+
+  const [payload, mac] = token.split(".");
+  if (!payload || !mac) return null;
+
+  const expected = crypto.createHmac("sha256", secret).update(payload).digest();
+  const provided = Buffer.from(mac, "base64url");
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (!claims.exp || claims.exp < Date.now()) return null;
+    return claims;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Express middleware requiring `Authorization: Bearer <session token>`.
+ * On success sets req.session = { handle, wallet, x_user_id }.
+ */
+export function requireSession(secret) {
+  return function (req, res, next) {
+    const header = req.headers.authorization || "";
+    const token = header.startsWith("Bearer ") ? header.slice(7).trim() : null;
+
+    const claims = verifySessionToken(secret, token);
+    if (!claims) {
+      return res.status(401).json({
+        success: false,
+        message: "Valid session required. Log in again."
+      });
+    }
+
+    req.session = {
+      handle: claims.sub,
+      wallet: claims.wallet,
+      x_user_id: claims.x_user_id || null
+    };
+    next();
+  };
+}
@@ -2,23 +2,114 @@ import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
 import fetch from "node-fetch";
-import { Connection, PublicKey, Keypair, Transaction, ComputeBudgetProgram } from "@solana/web3.js";
-import { getAssociatedTokenAddress, getAccount, createTransferInstruction, TOKEN_PROGRAM_ID, createAssociatedTokenAccountInstruction } from "@solana/spl-token";
+import { Connection, PublicKey, Keypair } from "@solana/web3.js";
+import {
+  getAssociatedTokenAddress,
+  getAccount,
+  unpackMint,
+  createTransferCheckedInstruction,
+  createAssociatedTokenAccountIdempotentInstruction,
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID
+} from "@solana/spl-token";
 import bs58 from "bs58";
 import admin from "firebase-admin";
+import crypto from "crypto";
+import { sendTransaction } from "./lib/solanaTransactions.js";
+import { extractTokenTransfers, verifyDepositTransaction, verifyApprovalTransaction } from "./lib/tokenTransfers.js";
+import { createSessionToken, requireSession } from "./middleware/sessionAuth.js";
+import { createXClient } from "./lib/xClient.js";
+import { createAdminAuth, parseAdminList, hasAdminCredentials } from "./middleware/adminAuth.js";
+import {
+  createSeedCommitment,
+  normalizeEntries,
+  hashEntrySnapshot,
+  drawRandomness,
+  pickWinners,
+  verifyDraw
+} from "./lib/lotteryDraw.js";
+import { parsePaymentCommand, PARSE_ERRORS } from "./lib/paymentCommand.js";
+import { renderReply } from "./lib/replyTemplates.js";
+import { commandId, fromXTweet, fromXWebhookTweet, fromTelegramUpdate, fromFarcasterCast } from "./lib/socialCommand.js";
+import { createXUserDirectory } from "./lib/xUserDirectory.js";
+import {
+  NATIVE_MINT_ADDRESS,
+  parseTokenList,
+  createTokenRegistry,
+  parseAmountLimits,
+  parseDecimalAmount,
+  toBaseUnits,
+  fromBaseUnits,
+  formatTokenAmount
+} from "./lib/tokenRegistry.js";
 
 dotenv.config();
 const app = express();
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body so admin signatures can be checked against the exact bytes sent
+  verify: (req, res, buf) => { req.rawBody = buf.toString("utf8"); }
+}));
 
 const PORT = process.env.PORT || 3000;
 const BOT_HANDLE = (process.env.BOT_HANDLE || "bot_wassy").toLowerCase();
 const X_BEARER_TOKEN = process.env.X_BEARER_TOKEN;
-const SCAN_INTERVAL_MS = 30 * 60 * 1000; // 30 minutes
+// Bot account credentials (OAuth 1.0a) - without them the bot doesn't reply on X
+const X_USER_AUTH = process.env.TWITTER_APP_KEY && process.env.TWITTER_APP_SECRET &&
+  process.env.TWITTER_ACCESS_TOKEN && process.env.TWITTER_ACCESS_SECRET
+  ? {
+    consumerKey: process.env.TWITTER_APP_KEY,
+    consumerSecret: process.env.TWITTER_APP_SECRET,
+    accessToken: process.env.TWITTER_ACCESS_TOKEN,
+    accessSecret: process.env.TWITTER_ACCESS_SECRET
+  }
+  : null;
+// Claim links in bot replies point here, e.g. https://app.example.com
+const FRONTEND_URL = (process.env.FRONTEND_URL || "").replace(/\/+$/, "");
+const REPLY_QUEUE_INTERVAL_MS = 60 * 1000; // 1 minute
+
+// Other command sources. Each is enabled by its webhook secret; recipients
+// named in commands are X handles wherever the command is posted.
+const TELEGRAM_BOT_USERNAME = (process.env.TELEGRAM_BOT_USERNAME || "").toLowerCase();
+const TELEGRAM_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET;
+const FARCASTER_BOT_USERNAME = (process.env.FARCASTER_BOT_USERNAME || "").toLowerCase();
+const FARCASTER_WEBHOOK_SECRET = process.env.FARCASTER_WEBHOOK_SECRET;
+// The bot's own handle per source, ignored as a recipient
+const SOCIAL_BOT_HANDLES = {
+  x: BOT_HANDLE,
+  telegram: TELEGRAM_BOT_USERNAME || null,
+  farcaster: FARCASTER_BOT_USERNAME || null
+};
+// How mentions arrive: "poll" (search scanner), "webhook" (Account Activity API) or "both"
+const X_INGESTION_MODE = ["poll", "webhook", "both"].includes(process.env.X_INGESTION_MODE)
+  ? process.env.X_INGESTION_MODE
+  : "poll";
+// The scan interval adapts to mention volume between these bounds
+const SCAN_MIN_INTERVAL_MS = 2 * 60 * 1000;  // 2 minutes
+const SCAN_MAX_INTERVAL_MS = 30 * 60 * 1000; // 30 minutes
 const ADMIN_WALLET = process.env.ADMIN_WALLET || "6SxLVfFovSjR2LAFcJ5wfT6RFjc8GxsscRekGnLq8BMe";
+// ADMIN_WALLETS / ADMIN_API_KEYS: comma-separated "id:role" (role = operator | treasurer)
+const ADMIN_WALLETS = parseAdminList(process.env.ADMIN_WALLETS || `${ADMIN_WALLET}:treasurer`);
+const ADMIN_API_KEYS = parseAdminList(process.env.ADMIN_API_KEYS);
 const DEBUG_MODE = process.env.DEBUG_MODE === "true"; // Set to true for verbose logging
 
+// Claim window - unclaimed payments expire this long after they were recorded.
+// ESCROW_EXPIRY_DAYS is its earlier name and still read if the new one isn't set.
+const PAYMENT_EXPIRY_MS = Number(process.env.PAYMENT_EXPIRY_DAYS || process.env.ESCROW_EXPIRY_DAYS || 30) * 24 * 60 * 60 * 1000;
+const PAYMENT_LIFECYCLE_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+
+// Escrow mode - pull each payment into the vault when it is recorded and pay claims from there
+const ESCROW_MODE = process.env.ESCROW_MODE === "true";
+const ESCROW_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+
+// Sessions - tokens are signed with SESSION_SECRET; without it sessions don't survive a restart
+const SESSION_TTL_MS = 60 * 60 * 1000; // 1 hour
+const LOGIN_CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.SESSION_SECRET) {
+  console.warn("⚠️ SESSION_SECRET not set - using a random secret, sessions reset on restart");
+}
+
 // Solana configuration - SOLANA_RPC must be set in environment
 const SOLANA_RPC = process.env.SOLANA_RPC;
 if (!SOLANA_RPC) {
@@ -28,6 +119,29 @@ if (!SOLANA_RPC) {
 const USDC_MINT = process.env.USDC_MINT || "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v";
 const VAULT_ADDRESS = process.env.VAULT_ADDRESS || "Hu7wMzbwR5RSTXk2bF5CEDhdSAN1mzX9vTiqbQJWESxE";
 
+// Tokens payments can be made in - SUPPORTED_TOKENS: "SYMBOL:mint:decimals[:program]", USDC first
+const SUPPORTED_TOKENS = parseTokenList(
+  process.env.SUPPORTED_TOKENS ||
+  `USDC:${USDC_MINT}:6,BONK:DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263:5,SOL:${NATIVE_MINT_ADDRESS}:9`
+);
+// Largest amount one payment command may move - MAX_PAYMENT_AMOUNTS: "SYMBOL:max" in token units
+const TOKENS = createTokenRegistry(SUPPORTED_TOKENS, parseAmountLimits(
+  process.env.MAX_PAYMENT_AMOUNTS || "USDC:10000,BONK:1000000000,SOL:100",
+  SUPPORTED_TOKENS
+));
+const USDC = TOKENS.get("USDC");
+// Commands moving more than the sender's threshold wait for them to confirm.
+// DEFAULT_CONFIRMATION_THRESHOLDS: "SYMBOL:amount" in token units; users can set their own.
+const DEFAULT_CONFIRMATION_THRESHOLDS = parseAmountLimits(
+  process.env.DEFAULT_CONFIRMATION_THRESHOLDS || "USDC:100,BONK:10000000,SOL:1",
+  SUPPORTED_TOKENS
+);
+const CONFIRMATION_TIMEOUT_MS = Number(process.env.CONFIRMATION_TIMEOUT_MINUTES || 60) * 60 * 1000;
+if (!USDC || USDC.mint !== USDC_MINT) {
+  console.error("❌ SUPPORTED_TOKENS must include USDC with the USDC_MINT address");
+  process.exit(1);
+}
+
 // Create Solana connection with faster commitment
 const solanaConnection = new Connection(SOLANA_RPC, {
   commitment: "confirmed",
@@ -72,14 +186,55 @@ try {
 const usersCollection = firestore.collection("backend_users");
 const paymentsCollection = firestore.collection("payments");
 const metaCollection = firestore.collection("meta");
+const reconciliationCollection = firestore.collection("reconciliation_flags");
+const challengesCollection = firestore.collection("auth_challenges");
+const adminAuditCollection = firestore.collection("admin_audit_log");
+const depositsCollection = firestore.collection("deposits");
 
 // Run scan at boot
 setTimeout(() => {
-  console.log("🕐 Starting initial tweet scan...");
-  runScheduledTweetCheck();
-  // Schedule every 30 minutes
-  setInterval(runScheduledTweetCheck, SCAN_INTERVAL_MS);
-  console.log(`📅 Tweet scanner scheduled every ${SCAN_INTERVAL_MS / 60000} minutes`);
+  if (X_INGESTION_MODE !== "webhook") {
+    console.log("🕐 Starting initial tweet scan...");
+    scheduleTweetScan(0);
+    console.log(`📅 Tweet scanner scheduled every ${SCAN_MIN_INTERVAL_MS / 60000}-${SCAN_MAX_INTERVAL_MS / 60000} minutes, adapting to mention volume`);
+  }
+  if (X_INGESTION_MODE !== "poll") {
+    if (webhookEnabled()) {
+      console.log(`📨 X webhook accepting events at ${WEBHOOK_PATH}`);
+    } else {
+      console.warn("⚠️ X_INGESTION_MODE includes webhook but TWITTER_APP_KEY/SECRET and TWITTER_ACCESS_TOKEN/SECRET are not set");
+    }
+  }
+
+  runSettlementReconciliation();
+  setInterval(runSettlementReconciliation, RECONCILE_INTERVAL_MS);
+  console.log(`📅 Settlement reconciler scheduled every ${RECONCILE_INTERVAL_MS / 60000} minutes`);
+
+  runLotteryScheduler();
+  setInterval(runLotteryScheduler, LOTTERY_SCHEDULER_INTERVAL_MS);
+  console.log(`📅 Lottery scheduler running every ${LOTTERY_SCHEDULER_INTERVAL_MS / 1000} seconds`);
+
+  runDelegationSync();
+  setInterval(runDelegationSync, DELEGATION_SYNC_INTERVAL_MS);
+  console.log(`📅 Delegation sync scheduled every ${DELEGATION_SYNC_INTERVAL_MS / 60000} minutes`);
+
+  runPaymentLifecycle();
+  setInterval(runPaymentLifecycle, PAYMENT_LIFECYCLE_INTERVAL_MS);
+  console.log(`📅 Payment expiry/deletion checks scheduled every ${PAYMENT_LIFECYCLE_INTERVAL_MS / 60000} minutes`);
+
+  if (repliesEnabled()) {
+    runReplyQueue();
+    setInterval(runReplyQueue, REPLY_QUEUE_INTERVAL_MS);
+    console.log(`📅 Bot reply queue running every ${REPLY_QUEUE_INTERVAL_MS / 1000} seconds`);
+  } else {
+    console.warn("⚠️ TWITTER_APP_KEY/SECRET and TWITTER_ACCESS_TOKEN/SECRET not set - the bot won't reply on X");
+  }
+
+  if (ESCROW_MODE) {
+    runEscrowMaintenance();
+    setInterval(runEscrowMaintenance, ESCROW_INTERVAL_MS);
+    console.log(`📅 Escrow maintenance scheduled every ${ESCROW_INTERVAL_MS / 60000} minutes`);
+  }
 }, 2000);
 
 // ===== HELPERS =====
@@ -97,7 +252,10 @@ function normalizeHandle(h) {
   return h.replace(/^@/, "").toLowerCase();
 }
 
-async function ensureUser(x_username) {
+// `xUserId`, when known, is stored on users that don't have one yet. A user
+// whose stored ID differs is left alone: the handle changed hands, which
+// login sorts out (reconcileXHandle).
+async function ensureUser(x_username, xUserId = null) {
   const handle = normalizeHandle(x_username);
   const userRef = usersCollection.doc(handle);
   const doc = await userRef.get();
@@ -105,6 +263,7 @@ async function ensureUser(x_username) {
   if (!doc.exists) {
     const newUser = {
       x_username: handle,
+      x_user_id: xUserId || null,
       created_at: admin.firestore.FieldValue.serverTimestamp(),
       updated_at: admin.firestore.FieldValue.serverTimestamp()
     };
@@ -112,115 +271,560 @@ async function ensureUser(x_username) {
     return { x_username: handle, ...newUser };
   }
 
-  return { x_username: handle, ...doc.data() };
+  const user = doc.data();
+  if (xUserId && !user.x_user_id) {
+    await userRef.update({ x_user_id: xUserId, updated_at: admin.firestore.FieldValue.serverTimestamp() });
+    user.x_user_id = xUserId;
+  }
+  return { x_username: handle, ...user };
+}
+
+// Payments carry the recipient's X user ID, since a handle can be renamed and
+// taken by someone else. Older payments, and recipients X couldn't resolve
+// when the payment was recorded, match by handle.
+function isPaymentRecipient(payment, handle, xUserId) {
+  if (payment.recipient_x_user_id) return payment.recipient_x_user_id === xUserId;
+  return payment.recipient_username === handle;
+}
+
+// Wallet a payment's sender pays from, or null if they have none or their
+// handle now belongs to a different X account than the one that tweeted
+function senderWalletOf(payment, senderDoc) {
+  if (!senderDoc.exists) return null;
+  const sender = senderDoc.data();
+  if (payment.sender_x_user_id && sender.x_user_id && sender.x_user_id !== payment.sender_x_user_id) {
+    return null;
+  }
+  return sender.wallet_address || null;
+}
+
+// Entry appended to a payment's status_history on every status change.
+// `by` is "system", "sender", "recipient" or "admin".
+function statusTransition(from, to, reason = null, by = "system") {
+  return admin.firestore.FieldValue.arrayUnion({
+    from: from || null,
+    to,
+    reason,
+    by,
+    at: admin.firestore.Timestamp.now()
+  });
+}
+
+// A wallet address must be a valid, on-curve public key (not a PDA)
+function isValidWalletAddress(address) {
+  try {
+    return PublicKey.isOnCurve(new PublicKey(address).toBytes());
+  } catch (e) {
+    return false;
+  }
+}
+
+// Mint info (owning token program + decimals), cached per mint.
+// Supports both SPL Token and Token-2022 mints.
+const mintInfoCache = new Map();
+async function getMintInfo(mintAddress) {
+  if (mintInfoCache.has(mintAddress)) return mintInfoCache.get(mintAddress);
+
+  const mintPubkey = new PublicKey(mintAddress);
+  const accountInfo = await solanaConnection.getAccountInfo(mintPubkey);
+  if (!accountInfo) {
+    throw new Error(`Mint ${mintAddress} not found`);
+  }
+
+  const programId = accountInfo.owner;
+  if (!programId.equals(TOKEN_PROGRAM_ID) && !programId.equals(TOKEN_2022_PROGRAM_ID)) {
+    throw new Error(`Mint ${mintAddress} is not owned by a token program`);
+  }
+
+  const mint = unpackMint(mintPubkey, accountInfo, programId);
+  const info = { mint: mintPubkey, programId, decimals: mint.decimals };
+  mintInfoCache.set(mintAddress, info);
+  return info;
+}
+
+// Mint info for a registry token, checked against the registry's decimals and program
+async function getTokenMintInfo(token) {
+  const mintInfo = await getMintInfo(token.mint);
+  const expectedProgram = token.program === "token-2022" ? TOKEN_2022_PROGRAM_ID : TOKEN_PROGRAM_ID;
+  if (mintInfo.decimals !== token.decimals || !mintInfo.programId.equals(expectedProgram)) {
+    throw new Error(`${token.symbol} mint ${token.mint} does not match the token registry`);
+  }
+  return mintInfo;
+}
+
+async function getTokenAddress(mintInfo, owner) {
+  return getAssociatedTokenAddress(mintInfo.mint, owner, false, mintInfo.programId);
+}
+
+// Resolve an owner's ATA and, if it doesn't exist yet, an instruction that
+// creates it with the vault paying rent
+async function prepareRecipientTokenAccount(mintInfo, owner) {
+  const ata = await getTokenAddress(mintInfo, owner);
+  const existing = await solanaConnection.getAccountInfo(ata);
+  if (existing) {
+    return { ata, createInstruction: null };
+  }
+
+  return {
+    ata,
+    createInstruction: createAssociatedTokenAccountIdempotentInstruction(
+      vaultKeypair.publicKey, // payer
+      ata,
+      owner,
+      mintInfo.mint,
+      mintInfo.programId
+    )
+  };
 }
 
-// Get sender's on-chain USDC balance and authorization status
-async function getSenderFundStatus(walletAddress) {
+// Get sender's on-chain balance and authorization status for one token (USDC by default).
+// balance / delegatedAmount are decimal strings; rawBalance / rawDelegated base units.
+async function getSenderFundStatus(walletAddress, token = USDC) {
+  const empty = { token: token.symbol, balance: "0", delegatedAmount: "0", rawBalance: 0, rawDelegated: 0, authorized: false };
   if (!walletAddress) {
-    return { balance: 0, authorized: false, error: "No wallet address" };
+    return { ...empty, error: "No wallet address" };
   }
 
   try {
     const walletPubkey = new PublicKey(walletAddress);
-    const usdcMintPubkey = new PublicKey(USDC_MINT);
+    const mintInfo = await getTokenMintInfo(token);
     const vaultPubkey = new PublicKey(VAULT_ADDRESS);
 
-    const ata = await getAssociatedTokenAddress(usdcMintPubkey, walletPubkey);
+    const ata = await getTokenAddress(mintInfo, walletPubkey);
 
-    let balance = 0;
-    let delegatedAmount = 0;
-    let authorized = false;
+    let rawBalance = 0;
+    let rawDelegated = 0;
 
     try {
-      const tokenAccount = await getAccount(solanaConnection, ata);
-      balance = Number(tokenAccount.amount) / 1_000_000;
+      const tokenAccount = await getAccount(solanaConnection, ata, "confirmed", mintInfo.programId);
+      rawBalance = Number(tokenAccount.amount);
 
       if (tokenAccount.delegate && tokenAccount.delegate.equals(vaultPubkey)) {
-        delegatedAmount = Number(tokenAccount.delegatedAmount) / 1_000_000;
-        authorized = delegatedAmount > 0;
+        rawDelegated = Number(tokenAccount.delegatedAmount);
       }
     } catch (tokenErr) {
       // Token account doesn't exist = 0 balance
     }
 
-    return { balance, delegatedAmount, authorized, error: null };
+    return {
+      token: token.symbol,
+      balance: fromBaseUnits(rawBalance, token.decimals),
+      delegatedAmount: fromBaseUnits(rawDelegated, token.decimals),
+      rawBalance,
+      rawDelegated,
+      authorized: rawDelegated > 0,
+      error: null
+    };
+  } catch (e) {
+    console.error(`Error getting ${token.symbol} fund status for ${walletAddress}:`, e.message);
+    return { ...empty, error: e.message };
+  }
+}
+
+// ===== COMMITTED FUNDS =====
+// A sender's outstanding payments reserve their spendable allowance of each
+// token (min of delegation and balance) in tweet order: first tweeted, first
+// paid. Payments that don't fit behind earlier ones are "over_committed" and
+// can't be claimed until the sender adds funds or earlier payments settle.
+const COMMITTED_STATUSES = ["pending", "claiming", "failed"];
+
+// Tweet IDs are snowflakes, so numeric order is tweet order; commands from
+// other sources store a snowflake of their post time as source_order. Payments
+// from the same command (several recipients) keep their recipient order.
+function compareTweetOrder(a, b) {
+  const x = BigInt(a.source_order || a.source_tweet_id || a.tweet_id || a.id);
+  const y = BigInt(b.source_order || b.source_tweet_id || b.tweet_id || b.id);
+  if (x !== y) return x < y ? -1 : 1;
+  return (a.recipient_index || 0) - (b.recipient_index || 0);
+}
+
+// A payment's amount in its token's base units. Payments recorded before
+// amount_raw existed only have a float amount; null if such a payment's
+// token has since been removed from SUPPORTED_TOKENS.
+function paymentRawAmount(payment) {
+  if (Number.isSafeInteger(payment.amount_raw)) return payment.amount_raw;
+  const token = TOKENS.forRecord(payment);
+  return token ? toBaseUnits(payment.amount, token.decimals) : null;
+}
+
+// Payments in a token no longer in SUPPORTED_TOKENS can't be planned, claimed
+// or escrowed until it is added back. They are skipped and flagged instead.
+function unsupportedTokenError(payment) {
+  return `${payment.token} is no longer a supported token`;
+}
+
+async function flagUnsupportedToken(payment) {
+  if (payment.token_unsupported) return;
+  console.warn(`⚠️ Payment ${payment.id} is in ${payment.token}, which is no longer supported - skipping`);
+  try {
+    await payment.ref.update({
+      token_unsupported: true,
+      updated_at: admin.firestore.FieldValue.serverTimestamp()
+    }, { lastUpdateTime: payment.updateTime });
+  } catch (e) {
+    console.warn(`⚠️ Could not flag payment ${payment.id}: ${e.message}`);
+  }
+}
+
+// Amount fields as returned by the API, also for payments not yet migrated
+function paymentAmountFields(payment) {
+  const token = TOKENS.forRecord(payment);
+  const rawAmount = paymentRawAmount(payment);
+  if (!token) {
+    return {
+      amount: payment.amount ?? null,
+      amount_raw: rawAmount,
+      decimals: payment.decimals ?? null,
+      token: payment.token,
+      token_unsupported: true
+    };
+  }
+  return {
+    amount: fromBaseUnits(rawAmount, token.decimals),
+    amount_raw: rawAmount,
+    decimals: token.decimals,
+    token: token.symbol
+  };
+}
+
+// "$5.25" / "100 BONK" for logs and messages
+function formatPaymentAmount(payment) {
+  const { amount, token } = paymentAmountFields(payment);
+  return formatTokenAmount(amount, token);
+}
+
+function spendableRaw(fundStatus) {
+  if (!fundStatus?.authorized) return 0;
+  return Math.min(fundStatus.rawDelegated, fundStatus.rawBalance);
+}
+
+// Outstanding and over-committed payments from a sender, in tweet order
+async function getOutstandingPayments(handle) {
+  const snapshot = await paymentsCollection
+    .where("sender_username", "==", handle)
+    .where("status", "in", [...COMMITTED_STATUSES, "over_committed"])
+    .get();
+
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ref: doc.ref, updateTime: doc.updateTime, ...doc.data() }))
+    .sort(compareTweetOrder);
+}
+
+// Walk one token's payments in tweet order and decide which fit in `spendable`
+// (base units). Escrowed payments are skipped and claims in progress always
+// count; once one payment doesn't fit, every later payment waits too.
+// Returns { statuses: Map id → status, committed, overCommitted }.
+function planCommitments(payments, spendable) {
+  const statuses = new Map();
+  let committed = 0;
+  let overCommitted = 0;
+  let short = false;
+
+  for (const p of payments) {
+    const amount = paymentRawAmount(p);
+
+    // Already pulled into escrow, so no longer drawn from the sender's allowance
+    if (p.escrow_status === "held") {
+      statuses.set(p.id, p.status);
+      continue;
+    }
+
+    if (p.status === "claiming") {
+      committed += amount;
+      statuses.set(p.id, "claiming");
+      continue;
+    }
+
+    if (!short && committed + amount <= spendable) {
+      committed += amount;
+      statuses.set(p.id, p.status === "failed" ? "failed" : "pending");
+    } else {
+      short = true;
+      overCommitted += amount;
+      statuses.set(p.id, "over_committed");
+    }
+  }
+
+  return { statuses, committed, overCommitted };
+}
+
+// Base units of `payment`'s token committed by the sender's outstanding
+// payments tweeted before it
+function committedAheadOf(outstanding, payment) {
+  const token = TOKENS.forRecord(payment);
+  if (!token) return 0;
+  return outstanding
+    .filter(p => p.id !== (payment.tweet_id || payment.id) &&
+      TOKENS.forRecord(p) === token &&
+      COMMITTED_STATUSES.includes(p.status) &&
+      p.escrow_status !== "held" &&
+      compareTweetOrder(p, payment) < 0)
+    .reduce((sum, p) => sum + paymentRawAmount(p), 0);
+}
+
+// Recompute a sender's commitments per token, promote/demote payments
+// accordingly and store the totals on the user. Pass `fundStatuses`
+// (symbol → fund status) for tokens whose status was just fetched.
+async function rebalanceSenderCommitments(handle, fundStatuses = {}) {
+  try {
+    const userDoc = await usersCollection.doc(handle).get();
+    const wallet = userDoc.exists ? userDoc.data().wallet_address : null;
+
+    const payments = await getOutstandingPayments(handle);
+    for (const p of payments) {
+      if (!TOKENS.forRecord(p)) await flagUnsupportedToken(p);
+    }
+    const symbols = new Set([USDC.symbol, ...payments.map(p => TOKENS.forRecord(p)?.symbol).filter(Boolean)]);
+    const commitments = {};
+
+    for (const symbol of symbols) {
+      const token = TOKENS.get(symbol);
+      let fundStatus = fundStatuses[symbol];
+      if (!fundStatus) {
+        fundStatus = wallet ? await getSenderFundStatus(wallet, token) : { authorized: false };
+        if (fundStatus.error) continue;
+      }
+
+      const tokenPayments = payments.filter(p => TOKENS.forRecord(p) === token);
+      const plan = planCommitments(tokenPayments, spendableRaw(fundStatus));
+
+      for (const p of tokenPayments) {
+        const next = plan.statuses.get(p.id);
+        if (next === p.status) continue;
+
+        try {
+          // Skip if the payment changed since we read it (e.g. a claim started)
+          await p.ref.update({
+            status: next,
+            status_history: statusTransition(p.status, next, next === "over_committed" ? "insufficient_allowance" : "allowance_available"),
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+          }, { lastUpdateTime: p.updateTime });
+          console.log(`⚖️ Payment ${p.id} from @${handle}: ${p.status} → ${next}`);
+        } catch (e) {
+          console.warn(`⚠️ Skipped rebalancing payment ${p.id}: ${e.message}`);
+        }
+      }
+
+      commitments[symbol] = {
+        committed: fromBaseUnits(plan.committed, token.decimals),
+        committed_raw: plan.committed,
+        over_committed: fromBaseUnits(plan.overCommitted, token.decimals),
+        over_committed_raw: plan.overCommitted
+      };
+    }
+
+    const update = {
+      commitments,
+      committed_synced_at: admin.firestore.FieldValue.serverTimestamp()
+    };
+    // USDC totals are also kept at the top level for older clients
+    if (commitments.USDC) {
+      update.committed_amount = commitments.USDC.committed;
+      update.over_committed_amount = commitments.USDC.over_committed;
+    }
+    await usersCollection.doc(handle).set(update, { merge: true });
+
+    return commitments;
   } catch (e) {
-    console.error(`Error getting fund status for ${walletAddress}:`, e.message);
-    return { balance: 0, delegatedAmount: 0, authorized: false, error: e.message };
+    console.error(`Commitment rebalance error for @${handle}:`, e.message);
+    return null;
   }
 }
 
-async function recordPayment(sender, recipient, amount, tweet_id) {
+// A tweet paying several recipients records one payment each: "<tweet>_1", "<tweet>_2", ...
+function paymentIdFor(tweetId, index, count) {
+  return count > 1 ? `${tweetId}_${index + 1}` : tweetId;
+}
+
+// Largest amount (base units) `user` may send in `token` without confirming,
+// or null if every amount goes through
+function confirmationThresholdRaw(user, token) {
+  const custom = user?.confirmation_thresholds?.[token.symbol];
+  if (Number.isSafeInteger(custom)) return custom;
+  return DEFAULT_CONFIRMATION_THRESHOLDS[token.symbol] ?? null;
+}
+
+// Record a payment from a tweet. Returns { status, reason } or { skipped } with
+// "invalid_amount", "self_payment", "already_recorded", "duplicate" or "error".
+// `rawAmount` is in the token's base units; `tweet_id` is the payment ID and
+// `sourceTweetId` the command it came from when they differ. Commands from
+// other sources than X pass their `source` and snowflake `sortKey`. When the
+// command's total (`commandTotalRaw`) is over the sender's confirmation
+// threshold the payment is stored as "awaiting_confirmation".
+async function recordPayment(sender, recipient, rawAmount, tweet_id, {
+  sourceTweetId = tweet_id,
+  source = "x",
+  sortKey = null,
+  recipientIndex = 0,
+  memo = null,
+  mode = "single",
+  tippedTweetId = null,
+  tokenSymbol = USDC.symbol,
+  senderXUserId = null,
+  recipientXUserId = null,
+  commandTotalRaw = rawAmount
+} = {}) {
   try {
     const s = normalizeHandle(sender);
     const r = normalizeHandle(recipient);
-    const a = Number(amount);
+    const token = TOKENS.get(tokenSymbol);
+    if (!token || !Number.isSafeInteger(rawAmount) || rawAmount <= 0 || rawAmount > token.maxRaw) {
+      console.log(`⛔ Invalid amount ${rawAmount} ${tokenSymbol} in tweet ${sourceTweetId} — skipping`);
+      return { skipped: "invalid_amount" };
+    }
+    const a = fromBaseUnits(rawAmount, token.decimals);
+    const shown = formatTokenAmount(a, token.symbol);
+
+    if (s === r) {
+      console.log(`⛔ Self-payment by @${s} in tweet ${sourceTweetId} — skipping`);
+      return { skipped: "self_payment" };
+    }
 
     // Check if tweet already exists
     const existingDoc = await paymentsCollection.doc(tweet_id).get();
     if (existingDoc.exists) {
       console.log(`⛔ Tweet ${tweet_id} already recorded — skipping`);
-      return;
+      return { skipped: "already_recorded" };
     }
 
-    // Check for duplicates (same sender, recipient, amount in last 2h)
+    // Check for duplicates (same sender, recipient, amount and token in last 2h)
     const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
     const dupQuery = await paymentsCollection
       .where("sender_username", "==", s)
       .where("recipient_username", "==", r)
-      .where("amount", "==", a)
+      .where("amount_raw", "==", rawAmount)
       .where("created_at", ">=", twoHoursAgo)
-      .limit(1)
       .get();
 
-    if (!dupQuery.empty) {
-      console.log(`⛔ Duplicate detected for @${s} → @${r} $${a} — skipping`);
-      return;
-    }
-
-    // Insert new payment
-    await paymentsCollection.doc(tweet_id).set({
-      tweet_id,
-      sender: s,
-      sender_username: s,
-      recipient: r,
-      recipient_username: r,
-      amount: a,
-      status: "pending",
-      claimed_by: null,
-      tx_signature: null,
-      tweet_url: `https://twitter.com/i/status/${tweet_id}`,
-      created_at: admin.firestore.FieldValue.serverTimestamp()
-    });
+    if (dupQuery.docs.some(doc => TOKENS.forRecord(doc.data()) === token)) {
+      console.log(`⛔ Duplicate detected for @${s} → @${r} ${shown} — skipping`);
+      return { skipped: "duplicate" };
+    }
 
-    // Ensure both users exist
-    await ensureUser(s);
-    await ensureUser(r);
+    // Reserve the amount behind the sender's earlier outstanding payments in this
+    // token. A handle now held by another X account has no wallet of the sender's.
+    const senderUser = await ensureUser(s, senderXUserId);
+    const senderId = senderXUserId || senderUser.x_user_id || null;
+    const senderWallet = senderUser.x_user_id && senderId !== senderUser.x_user_id ? null : senderUser.wallet_address;
+    const fundStatus = senderWallet
+      ? await getSenderFundStatus(senderWallet, token)
+      : { authorized: false };
+    const outstanding = await getOutstandingPayments(s);
+    const plan = planCommitments(
+      [...outstanding.filter(p => TOKENS.forRecord(p) === token), {
+        id: tweet_id,
+        tweet_id,
+        source_tweet_id: sourceTweetId,
+        source_order: sortKey,
+        recipient_index: recipientIndex,
+        amount_raw: rawAmount,
+        token: token.symbol,
+        status: "pending"
+      }].sort(compareTweetOrder),
+      spendableRaw(fundStatus)
+    );
+    const threshold = confirmationThresholdRaw(senderUser, token);
+    const needsConfirmation = threshold !== null && commandTotalRaw > threshold;
+    const status = needsConfirmation ? "awaiting_confirmation" : plan.statuses.get(tweet_id);
+    const reason = needsConfirmation ? "above_confirmation_threshold"
+      : status !== "over_committed" ? "recorded"
+        : senderWallet ? "insufficient_allowance" : "sender_unregistered";
+
+    // Insert new payment; create() fails if a concurrent scan or backfill got here first
+    try {
+      await paymentsCollection.doc(tweet_id).create({
+        tweet_id,
+        source,
+        source_tweet_id: sourceTweetId,
+        source_order: sortKey,
+        recipient_index: recipientIndex,
+        command_mode: mode,
+        memo,
+        tipped_tweet_id: tippedTweetId,
+        sender: s,
+        sender_username: s,
+        sender_x_user_id: senderId,
+        recipient: r,
+        recipient_username: r,
+        recipient_x_user_id: recipientXUserId,
+        amount: a,
+        amount_raw: rawAmount,
+        decimals: token.decimals,
+        token: token.symbol,
+        mint: token.mint,
+        status,
+        status_history: [{
+          from: null,
+          to: status,
+          reason,
+          by: "system",
+          at: admin.firestore.Timestamp.now()
+        }],
+        confirmation_expires_at: needsConfirmation
+          ? admin.firestore.Timestamp.fromMillis(Date.now() + CONFIRMATION_TIMEOUT_MS)
+          : null,
+        escrow_status: ESCROW_MODE ? "unfunded" : null,
+        claimed_by: null,
+        tx_signature: null,
+        tweet_url: source === "x" ? `https://twitter.com/i/status/${sourceTweetId}` : null,
+        created_at: admin.firestore.FieldValue.serverTimestamp()
+      });
+    } catch (e) {
+      if (e.code === 6) { // ALREADY_EXISTS
+        console.log(`⛔ Tweet ${tweet_id} already recorded — skipping`);
+        return { skipped: "already_recorded" };
+      }
+      throw e;
+    }
+
+    // Ensure the recipient exists
+    await ensureUser(r, recipientXUserId);
+
+    if (status === "awaiting_confirmation") {
+      console.log(`✋ Payment awaiting confirmation: @${s} → @${r} ${shown} (tweet ${tweet_id})`);
+    } else if (status === "over_committed") {
+      console.log(`⚠️ Payment recorded as over-committed: @${s} → @${r} ${shown} (tweet ${tweet_id})`);
+    } else {
+      console.log(`✅ Payment recorded: @${s} → @${r} ${shown} (tweet ${tweet_id})`);
+    }
 
-    console.log(`✅ Payment recorded: @${s} → @${r} $${a} (tweet ${tweet_id})`);
+    // A backfilled older tweet can push later payments out
+    await rebalanceSenderCommitments(s, fundStatus.error ? {} : { [token.symbol]: fundStatus });
+    return { status, reason };
   } catch (e) {
     console.error("recordPayment error:", e.message);
+    return { skipped: "error" };
   }
 }
 
-function parsePaymentCommand(text) {
-  if (!text) return null;
-  const t = String(text).trim();
-
-  // Format A: send @user $5
-  const a = t.match(/send\s+@(\w+)\s*\$?\s*([\d.]+)/i);
-  if (a) return { recipient: a[1], amount: parseFloat(a[2]) };
+// "@bot_wassy cancel <tweet link>", or the same as a reply to the payment's
+// post. Links arrive as t.co URLs, so expanded links are checked too. Outside
+// X a bare "cancel" replying to the payment message works as well.
+// Returns the ID of the command whose payments to cancel, or null.
+function parseCancelCommand(command, botHandle) {
+  const text = String(command.text || "").trim();
+  const mentioned = botHandle && new RegExp(`@${botHandle}\\s+cancel\\b`, "i").test(text);
+  if (!mentioned && (command.source === "x" || !/^cancel\b/i.test(text))) return null;
+
+  if (command.source === "x") {
+    for (const link of [text, ...command.links]) {
+      const m = link.match(/(?:twitter|x)\.com\/\w+\/status\/(\d+)/i);
+      if (m) return m[1];
+    }
+  }
 
-  // Format B: send $5 to @user
-  const b = t.match(/send\s*\$?\s*([\d.]+)\s+to\s+@(\w+)/i);
-  if (b) return { recipient: b[2], amount: parseFloat(b[1]) };
+  return command.replyTo ? commandId({ source: command.source, messageId: command.replyTo.messageId }) : null;
+}
 
-  // Format C: pay @user $5
-  const c = t.match(/pay\s+@(\w+)\s*\$?\s*([\d.]+)/i);
-  if (c) return { recipient: c[1], amount: parseFloat(c[2]) };
+// "@bot_wassy confirm" replying to a command the bot asked to confirm (or to
+// the bot's question). Outside X a bare "confirm" reply works as well.
+// Returns the ID of the message replied to, or null.
+function parseConfirmCommand(command, botHandle) {
+  const text = String(command.text || "").trim();
+  const mentioned = botHandle && new RegExp(`@${botHandle}\\s+confirm\\b`, "i").test(text);
+  if (!mentioned && (command.source === "x" || !/^confirm\b/i.test(text))) return null;
 
-  return null;
+  return command.replyTo ? commandId({ source: command.source, messageId: command.replyTo.messageId }) : null;
 }
 
 // ===== API ROUTES =====
@@ -229,34 +833,165 @@ app.get("/", (req, res) => {
   res.json({ status: "ok", name: "WASSY API", version: "2.0-firebase" });
 });
 
-// POST /api/login - Register or login user
+// Verify an ed25519 signature (base58) over a UTF-8 message by a Solana wallet
+function verifyWalletSignature(walletAddress, message, signature) {
+  try {
+    const publicKey = crypto.createPublicKey({
+      key: {
+        kty: "OKP",
+        crv: "Ed25519",
+        x: Buffer.from(new PublicKey(walletAddress).toBytes()).toString("base64url")
+      },
+      format: "jwk"
+    });
+    return crypto.verify(null, Buffer.from(message, "utf8"), publicKey, bs58.decode(signature));
+  } catch (e) {
+    return false;
+  }
+}
+
+// Resolve the X account behind an OAuth 2.0 user access token
+async function verifyXAccessToken(accessToken) {
+  try {
+    const response = await fetch("https://api.twitter.com/2/users/me", {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+    if (!response.ok) return null;
+
+    const { data } = await response.json();
+    if (!data?.id || !data?.username) return null;
+    return { id: data.id, username: normalizeHandle(data.username) };
+  } catch (e) {
+    console.error("X token verification error:", e.message);
+    return null;
+  }
+}
+
+// Admin authorization - every admin request is written to the audit log
+const requireAdmin = createAdminAuth({
+  wallets: ADMIN_WALLETS,
+  apiKeys: ADMIN_API_KEYS,
+  verifySignature: verifyWalletSignature,
+  audit: (entry) => {
+    adminAuditCollection.add({
+      ...entry,
+      created_at: admin.firestore.FieldValue.serverTimestamp()
+    }).catch(e => console.error("Admin audit log write failed:", e.message));
+  }
+});
+
+function loginChallengeMessage(wallet, nonce, issuedAt) {
+  return `Sign in to WASSY Pay\n\nWallet: ${wallet}\nNonce: ${nonce}\nIssued at: ${issuedAt}`;
+}
+
+// POST /api/auth/challenge - Issue a nonce for the wallet to sign
+app.post("/api/auth/challenge", async (req, res) => {
+  try {
+    const { wallet_address } = req.body;
+    if (!wallet_address || !isValidWalletAddress(wallet_address)) {
+      return res.status(400).json({ success: false, message: "valid wallet_address required" });
+    }
+
+    const nonce = crypto.randomBytes(16).toString("hex");
+    const issuedAt = new Date().toISOString();
+    const message = loginChallengeMessage(wallet_address, nonce, issuedAt);
+
+    await challengesCollection.doc(nonce).set({
+      wallet_address,
+      message,
+      used: false,
+      created_at: admin.firestore.FieldValue.serverTimestamp(),
+      expires_at: admin.firestore.Timestamp.fromMillis(Date.now() + LOGIN_CHALLENGE_TTL_MS)
+    });
+
+    res.json({ success: true, nonce, message, expires_in: LOGIN_CHALLENGE_TTL_MS / 1000 });
+  } catch (e) {
+    console.error("/api/auth/challenge error:", e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+// Mark a challenge used. Returns the challenge, or null if missing, used, expired or for another wallet.
+async function consumeLoginChallenge(nonce, walletAddress) {
+  const challengeRef = challengesCollection.doc(nonce);
+
+  return firestore.runTransaction(async (tx) => {
+    const doc = await tx.get(challengeRef);
+    if (!doc.exists) return null;
+
+    const challenge = doc.data();
+    const expiresAt = challenge.expires_at?.toMillis?.() || 0;
+    if (challenge.used || expiresAt < Date.now() || challenge.wallet_address !== walletAddress) {
+      return null;
+    }
+
+    tx.update(challengeRef, { used: true, used_at: admin.firestore.FieldValue.serverTimestamp() });
+    return challenge;
+  });
+}
+
+// POST /api/login - Prove wallet + X ownership and start a session
+// Body: { wallet_address, nonce, signature (base58, over the challenge message), x_access_token }
 app.post("/api/login", async (req, res) => {
   try {
-    const { x_username, x_user_id, wallet_address } = req.body;
-    if (!x_username) {
-      return res.status(400).json({ success: false, message: "x_username required" });
+    const { wallet_address, nonce, signature, x_access_token } = req.body;
+    if (!wallet_address || !nonce || !signature || !x_access_token) {
+      return res.status(400).json({
+        success: false,
+        message: "wallet_address, nonce, signature and x_access_token required"
+      });
     }
 
-    const handle = normalizeHandle(x_username);
+    const challenge = await consumeLoginChallenge(nonce, wallet_address);
+    if (!challenge) {
+      return res.status(401).json({ success: false, message: "Challenge is invalid or expired. Request a new one." });
+    }
+
+    if (!verifyWalletSignature(wallet_address, challenge.message, signature)) {
+      return res.status(401).json({ success: false, message: "Wallet signature verification failed" });
+    }
+
+    const xAccount = await verifyXAccessToken(x_access_token);
+    if (!xAccount) {
+      return res.status(401).json({ success: false, message: "X account verification failed" });
+    }
+
+    const handle = xAccount.username;
     const userRef = usersCollection.doc(handle);
 
+    const reconciled = await reconcileXHandle(handle, xAccount.id);
+    if (reconciled.error) {
+      return res.status(reconciled.status).json({ success: false, message: reconciled.error });
+    }
+
     // Upsert user
     await userRef.set({
       x_username: handle,
-      x_user_id: x_user_id || null,
-      wallet_address: wallet_address || null,
+      x_user_id: xAccount.id,
+      x_user_id_verified_at: admin.firestore.FieldValue.serverTimestamp(),
+      wallet_address,
+      wallet_verified_at: admin.firestore.FieldValue.serverTimestamp(),
       updated_at: admin.firestore.FieldValue.serverTimestamp()
     }, { merge: true });
 
     const userDoc = await userRef.get();
     const user = userDoc.data() || {};
 
-    console.log(`👤 User logged in: @${handle} (wallet: ${wallet_address?.slice(0, 8)}...)`);
+    const session_token = createSessionToken(SESSION_SECRET, {
+      sub: handle,
+      wallet: wallet_address,
+      x_user_id: xAccount.id
+    }, SESSION_TTL_MS);
+
+    console.log(`👤 User logged in: @${handle} (wallet: ${wallet_address.slice(0, 8)}...)`);
 
     res.json({
       success: true,
+      session_token,
+      expires_in: SESSION_TTL_MS / 1000,
+      x_username: handle,
       is_delegated: !!user.is_delegated,
-      delegation_amount: user.delegation_amount || 0,
+      delegation_amount: user.delegation_amount || "0",
       wallet_address: user.wallet_address
     });
   } catch (e) {
@@ -265,29 +1000,92 @@ app.post("/api/login", async (req, res) => {
   }
 });
 
-// POST /api/authorize - Record delegation authorization
-app.post("/api/authorize", async (req, res) => {
+// User fields for a token's delegation as read from chain. USDC is also kept
+// in the top-level is_delegated / delegation_amount fields.
+function delegationFields(fundStatus, signature = null) {
+  const fields = {
+    [`delegations.${fundStatus.token}.is_delegated`]: fundStatus.authorized,
+    [`delegations.${fundStatus.token}.amount`]: fundStatus.delegatedAmount,
+    [`delegations.${fundStatus.token}.amount_raw`]: fundStatus.rawDelegated,
+    [`delegations.${fundStatus.token}.synced_at`]: admin.firestore.FieldValue.serverTimestamp()
+  };
+  if (signature) {
+    fields[`delegations.${fundStatus.token}.signature`] = signature;
+  }
+  if (fundStatus.token === USDC.symbol) {
+    fields.is_delegated = fundStatus.authorized;
+    fields.delegation_amount = fundStatus.delegatedAmount;
+    fields.delegation_amount_raw = fundStatus.rawDelegated;
+    fields.delegation_synced_at = admin.firestore.FieldValue.serverTimestamp();
+    if (signature) fields.delegation_signature = signature;
+  }
+  return fields;
+}
+
+// POST /api/authorize - Record a delegation after verifying it on-chain
+// Body: { signature, token? } of an SPL Approve of the session wallet's token
+// account to the vault; token is a registry symbol (default USDC)
+app.post("/api/authorize", requireSession(SESSION_SECRET), async (req, res) => {
   try {
-    const { wallet, amount, signature } = req.body;
-    if (!wallet || !amount) {
-      return res.status(400).json({ success: false, message: "wallet and amount required" });
+    const { signature } = req.body;
+    const { handle, wallet } = req.session;
+    if (!signature) {
+      return res.status(400).json({ success: false, message: "signature required" });
     }
 
-    // Find user by wallet address
-    const usersQuery = await usersCollection.where("wallet_address", "==", wallet).limit(1).get();
+    const token = TOKENS.get(req.body.token || USDC.symbol);
+    if (!token) {
+      return res.status(400).json({ success: false, message: `Unsupported token: ${req.body.token}` });
+    }
 
-    if (!usersQuery.empty) {
-      const userDoc = usersQuery.docs[0];
-      await userDoc.ref.update({
-        is_delegated: true,
-        delegation_amount: Number(amount),
-        delegation_signature: signature || null,
-        updated_at: admin.firestore.FieldValue.serverTimestamp()
-      });
+    if (req.body.wallet && req.body.wallet !== wallet) {
+      return res.status(403).json({ success: false, message: "wallet does not match session" });
+    }
+
+    const mintInfo = await getTokenMintInfo(token);
+    const userAta = await getTokenAddress(mintInfo, new PublicKey(wallet));
+
+    const parsedTx = await solanaConnection.getParsedTransaction(signature, {
+      commitment: "confirmed",
+      maxSupportedTransactionVersion: 0
+    });
+
+    const verified = verifyApprovalTransaction(parsedTx, {
+      tokenAccount: userAta.toBase58(),
+      delegate: VAULT_ADDRESS,
+      wallet
+    });
+
+    if (verified.error) {
+      return res.status(400).json({ success: false, message: verified.error });
+    }
+
+    // The approval may since have been revoked or partly spent; store what the chain says now
+    const fundStatus = await getSenderFundStatus(wallet, token);
+    if (fundStatus.error) {
+      return res.status(502).json({ success: false, message: `Could not read token account: ${fundStatus.error}` });
     }
 
-    console.log(`🔐 Authorization recorded: ${wallet.slice(0, 8)}... for $${amount}`);
-    res.json({ success: true, message: "Authorization recorded" });
+    await usersCollection.doc(handle).update({
+      ...delegationFields(fundStatus, signature),
+      updated_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    // A larger allowance may free up over-committed payments
+    await rebalanceSenderCommitments(handle, { [token.symbol]: fundStatus });
+
+    const approved = fromBaseUnits(verified.rawAmount, token.decimals);
+    console.log(`🔐 Authorization verified: ${wallet.slice(0, 8)}... approved ${formatTokenAmount(approved, token.symbol)}, current ${formatTokenAmount(fundStatus.delegatedAmount, token.symbol)}`);
+    res.json({
+      success: true,
+      message: "Authorization verified",
+      token: token.symbol,
+      approved_amount: approved,
+      approved_amount_raw: verified.rawAmount,
+      delegation_amount: fundStatus.delegatedAmount,
+      delegation_amount_raw: fundStatus.rawDelegated,
+      is_delegated: fundStatus.authorized
+    });
   } catch (e) {
     console.error("/api/authorize error:", e);
     res.status(500).json({ success: false, message: e.message });
@@ -297,13 +1095,17 @@ app.post("/api/authorize", async (req, res) => {
 // ===== PAYMENTS =====
 
 // GET /api/payments/:username - Get payments for a user
-app.get("/api/payments/:username", async (req, res) => {
+app.get("/api/payments/:username", requireSession(SESSION_SECRET), async (req, res) => {
   try {
     const handle = normalizeHandle(req.params.username);
     if (!handle) {
       return res.status(400).json({ success: false, message: "username required" });
     }
 
+    if (handle !== req.session.handle) {
+      return res.status(403).json({ success: false, message: "You can only view your own payments" });
+    }
+
     // Get payments where user is sender
     const sentQuery = await paymentsCollection
       .where("sender_username", "==", handle)
@@ -311,20 +1113,22 @@ app.get("/api/payments/:username", async (req, res) => {
       .limit(50)
       .get();
 
-    // Get payments where user is recipient
-    const receivedQuery = await paymentsCollection
-      .where("recipient_username", "==", handle)
-      .orderBy("created_at", "desc")
-      .limit(50)
-      .get();
+    // Get payments where user is recipient, by X user ID and by handle
+    const receivedQueries = [paymentsCollection.where("recipient_username", "==", handle)];
+    if (req.session.x_user_id) {
+      receivedQueries.push(paymentsCollection.where("recipient_x_user_id", "==", req.session.x_user_id));
+    }
+    const receivedSnapshots = await Promise.all(receivedQueries.map(query =>
+      query.orderBy("created_at", "desc").limit(50).get()
+    ));
 
     const payments = [];
-    sentQuery.forEach(doc => payments.push({ id: doc.id, ...doc.data() }));
-    receivedQuery.forEach(doc => {
-      if (!payments.find(p => p.id === doc.id)) {
-        payments.push({ id: doc.id, ...doc.data() });
+    sentQuery.forEach(doc => payments.push({ id: doc.id, ...doc.data(), ...paymentAmountFields(doc.data()) }));
+    for (const doc of receivedSnapshots.flatMap(snapshot => snapshot.docs)) {
+      if (!payments.find(p => p.id === doc.id) && isPaymentRecipient(doc.data(), handle, req.session.x_user_id)) {
+        payments.push({ id: doc.id, ...doc.data(), ...paymentAmountFields(doc.data()) });
       }
-    });
+    }
 
     // Sort by created_at
     payments.sort((a, b) => {
@@ -343,48 +1147,101 @@ app.get("/api/payments/:username", async (req, res) => {
 // ===== CLAIMS =====
 
 // GET /api/claims - Get pending claims for a user (with sender fund status)
-app.get("/api/claims", async (req, res) => {
+app.get("/api/claims", requireSession(SESSION_SECRET), async (req, res) => {
   try {
-    const handle = normalizeHandle(req.query.handle);
-    if (!handle) {
-      return res.status(400).json({ success: false, message: "handle required" });
+    const handle = req.session.handle;
+
+    if (req.query.handle && normalizeHandle(req.query.handle) !== handle) {
+      return res.status(403).json({ success: false, message: "You can only view your own claims" });
     }
 
-    // Get pending payments where user is recipient
-    const claimsQuery = await paymentsCollection
-      .where("recipient_username", "==", handle)
-      .where("status", "==", "pending")
-      .orderBy("created_at", "desc")
-      .get();
+    // Get unclaimed payments where user is recipient (including in-progress and queued claims),
+    // by X user ID and, for payments recorded without one, by handle
+    const claimStatuses = [...CLAIMABLE_STATUSES, "claiming", "over_committed"];
+    const claimQueries = [paymentsCollection.where("recipient_username", "==", handle)];
+    if (req.session.x_user_id) {
+      claimQueries.push(paymentsCollection.where("recipient_x_user_id", "==", req.session.x_user_id));
+    }
+    const snapshots = await Promise.all(claimQueries.map(query =>
+      query.where("status", "in", claimStatuses).orderBy("created_at", "desc").get()
+    ));
 
     const claims = [];
-    claimsQuery.forEach(doc => claims.push({ id: doc.id, ...doc.data() }));
+    for (const doc of snapshots.flatMap(snapshot => snapshot.docs)) {
+      if (claims.some(c => c.id === doc.id) || !isPaymentRecipient(doc.data(), handle, req.session.x_user_id)) continue;
+      claims.push({ id: doc.id, ...doc.data() });
+    }
+    claims.sort((a, b) => (b.created_at?.toMillis?.() || 0) - (a.created_at?.toMillis?.() || 0));
+
+    // Enrich with sender fund status in the claim's token. A claim is payable only
+    // if the sender's spendable funds cover it plus their earlier outstanding payments.
+    const senders = {};
+    const fundStatuses = {};
+    const getSender = (handle) => {
+      if (!senders[handle]) {
+        senders[handle] = (async () => {
+          const senderDoc = await usersCollection.doc(handle).get();
+          const wallet = senderDoc.exists ? senderDoc.data().wallet_address : null;
+          if (!wallet) return { wallet: null };
+          return { wallet, outstanding: await getOutstandingPayments(handle) };
+        })();
+      }
+      return senders[handle];
+    };
+    const getFundStatus = (wallet, token) => {
+      const key = `${wallet}:${token.symbol}`;
+      if (!fundStatuses[key]) fundStatuses[key] = getSenderFundStatus(wallet, token);
+      return fundStatuses[key];
+    };
 
-    // Enrich with sender fund status
     const enrichedClaims = await Promise.all(claims.map(async (claim) => {
-      // Get sender's wallet from Firestore
-      const senderDoc = await usersCollection.doc(claim.sender_username).get();
-      const senderWallet = senderDoc.exists ? senderDoc.data().wallet_address : null;
+      const token = TOKENS.forRecord(claim);
+      if (!token) {
+        return {
+          ...claim,
+          ...paymentAmountFields(claim),
+          mint: null,
+          display_amount: formatPaymentAmount(claim),
+          expires_at: paymentExpiresAt(claim),
+          sender_can_pay: false
+        };
+      }
+
+      const sender = await getSender(claim.sender_username);
+      const amountFields = paymentAmountFields(claim);
+      const tokenFields = {
+        ...amountFields,
+        mint: token.mint,
+        display_amount: formatTokenAmount(amountFields.amount, token.symbol),
+        expires_at: paymentExpiresAt(claim)
+      };
+
+      if (sender.wallet) {
+        const fundStatus = await getFundStatus(sender.wallet, token);
+        const committedAhead = committedAheadOf(sender.outstanding, claim);
 
-      if (senderWallet) {
-        const fundStatus = await getSenderFundStatus(senderWallet);
         return {
           ...claim,
-          sender_wallet: senderWallet,
+          ...tokenFields,
+          sender_wallet: sender.wallet,
           sender_balance: fundStatus.balance,
           sender_delegated_amount: fundStatus.delegatedAmount,
           sender_authorized: fundStatus.authorized,
-          sender_can_pay: fundStatus.authorized && fundStatus.delegatedAmount >= claim.amount
+          sender_committed_ahead: fromBaseUnits(committedAhead, token.decimals),
+          sender_can_pay: claim.escrow_status === "held" || (claim.status !== "over_committed" &&
+            committedAhead + paymentRawAmount(claim) <= spendableRaw(fundStatus))
         };
       }
 
       return {
         ...claim,
+        ...tokenFields,
         sender_wallet: null,
-        sender_balance: 0,
-        sender_delegated_amount: 0,
+        sender_balance: "0",
+        sender_delegated_amount: "0",
         sender_authorized: false,
-        sender_can_pay: false
+        sender_committed_ahead: "0",
+        sender_can_pay: claim.escrow_status === "held"
       };
     }));
 
@@ -395,86 +1252,328 @@ app.get("/api/claims", async (req, res) => {
   }
 });
 
-// POST /api/claim - Claim a payment (with sender fund verification)
-app.post("/api/claim", async (req, res) => {
-  try {
-    const { tweet_id, wallet, username } = req.body;
-    if (!tweet_id || !wallet || !username) {
-      return res.status(400).json({ success: false, message: "tweet_id, wallet, and username required" });
+// ===== CLAIM STATE MACHINE =====
+// Payments move pending → claiming → completed | failed. While "claiming" the
+// payment holds a lease; once it expires another request may resume the claim
+// (if its transaction landed) or roll it back to pending.
+const CLAIM_LEASE_MS = 2 * 60 * 1000; // 2 minutes, longer than a blockhash stays valid
+const CLAIMABLE_STATUSES = ["pending", "failed"];
+
+function claimLeaseExpired(payment) {
+  const expiresAt = payment.claim_lease_expires_at?.toMillis?.() || 0;
+  return expiresAt <= Date.now();
+}
+
+// Lock a payment for claiming. Returns { attemptId, payment }, { stuck, payment }
+// for an abandoned claim, or { status, error } when the claim is not allowed.
+async function acquireClaimLock(tweet_id, { handle, xUserId }, wallet) {
+  const paymentRef = paymentsCollection.doc(tweet_id);
+
+  return firestore.runTransaction(async (tx) => {
+    const doc = await tx.get(paymentRef);
+    if (!doc.exists) {
+      return { status: 404, error: "Payment not found" };
     }
 
-    const handle = normalizeHandle(username);
+    const payment = doc.data();
 
-    // Get payment from Firestore
-    const paymentDoc = await paymentsCollection.doc(tweet_id).get();
-    if (!paymentDoc.exists) {
-      return res.status(404).json({ success: false, error: "Payment not found" });
+    if (!isPaymentRecipient(payment, handle, xUserId)) {
+      return { status: 403, error: "You are not the recipient of this payment" };
     }
 
-    const payment = paymentDoc.data();
+    if (payment.status === "completed" || payment.claimed_by) {
+      return { status: 400, error: "Payment already claimed" };
+    }
 
-    if (payment.recipient_username !== handle) {
-      return res.status(403).json({ success: false, error: "You are not the recipient of this payment" });
+    if (payment.status === "claiming") {
+      if (!claimLeaseExpired(payment)) {
+        return { status: 409, error: "A claim for this payment is already in progress" };
+      }
+      return { stuck: true, payment };
     }
 
-    if (payment.status === 'completed' || payment.claimed_by) {
-      return res.status(400).json({ success: false, error: "Payment already claimed" });
+    if (payment.escrow_status === "funding") {
+      return { status: 409, error: "Payment is being moved into escrow. Try again shortly." };
     }
 
-    // Get sender's wallet
-    const senderDoc = await usersCollection.doc(payment.sender_username).get();
-    const senderWallet = senderDoc.exists ? senderDoc.data().wallet_address : null;
+    if (!TOKENS.forRecord(payment)) {
+      return { status: 409, error: `This payment can't be claimed: ${unsupportedTokenError(payment)}` };
+    }
 
-    if (!senderWallet) {
-      return res.status(400).json({
-        success: false,
-        error: "Sender has not registered a wallet. They need to log in and fund their account."
-      });
+    if (payment.status === "over_committed") {
+      return {
+        status: 400,
+        error: "Sender has promised more than they authorized. This payment is queued behind their earlier payments until they add funds."
+      };
     }
 
-    // Verify sender has sufficient authorized funds on-chain
-    const fundStatus = await getSenderFundStatus(senderWallet);
+    if (payment.status === "awaiting_confirmation") {
+      return { status: 400, error: "The sender hasn't confirmed this payment yet" };
+    }
 
-    if (!fundStatus.authorized) {
-      return res.status(400).json({
-        success: false,
-        error: "Sender has not authorized the vault. Ask them to authorize first.",
-        sender_status: {
-          authorized: false,
-          balance: fundStatus.balance,
-          delegated_amount: fundStatus.delegatedAmount
-        }
-      });
+    if (!CLAIMABLE_STATUSES.includes(payment.status)) {
+      return { status: 400, error: `Payment cannot be claimed (status: ${payment.status})` };
     }
 
-    if (fundStatus.delegatedAmount < payment.amount) {
-      return res.status(400).json({
-        success: false,
-        error: `Sender's authorized amount ($${fundStatus.delegatedAmount.toFixed(2)}) is less than payment amount ($${payment.amount}).`,
-        sender_status: {
-          authorized: true,
-          balance: fundStatus.balance,
+    const attemptId = crypto.randomUUID();
+    tx.update(paymentRef, {
+      status: "claiming",
+      status_history: statusTransition(payment.status, "claiming", "claim_started", "recipient"),
+      claim_attempt_id: attemptId,
+      claim_wallet: wallet,
+      claim_started_at: admin.firestore.FieldValue.serverTimestamp(),
+      claim_lease_expires_at: admin.firestore.Timestamp.fromMillis(Date.now() + CLAIM_LEASE_MS),
+      claim_last_valid_block_height: null,
+      claim_error: null,
+      tx_signature: null
+    });
+
+    return { attemptId, payment };
+  });
+}
+
+// Record the signed transaction's signature before it is sent, so a crashed
+// claim can later be resolved from chain. Returns false if the lock was lost.
+async function recordClaimSubmission(tweet_id, attemptId, txSignature, lastValidBlockHeight) {
+  const paymentRef = paymentsCollection.doc(tweet_id);
+
+  return firestore.runTransaction(async (tx) => {
+    const doc = await tx.get(paymentRef);
+    const payment = doc.data();
+    if (!doc.exists || payment.status !== "claiming" || payment.claim_attempt_id !== attemptId) {
+      return false;
+    }
+
+    tx.update(paymentRef, {
+      tx_signature: txSignature,
+      claim_last_valid_block_height: lastValidBlockHeight,
+      claim_submitted_at: admin.firestore.FieldValue.serverTimestamp(),
+      claim_lease_expires_at: admin.firestore.Timestamp.fromMillis(Date.now() + CLAIM_LEASE_MS)
+    });
+    return true;
+  });
+}
+
+// Stats are updated in the same transaction as the status change so each
+// claim is counted exactly once. Totals are integer base units:
+// total_claimed_raw / total_sent_raw (and the leaderboard) count USDC only,
+// every token is also totalled under token_totals.{SYMBOL}.
+function applyClaimStats(tx, payment) {
+  const symbol = TOKENS.forRecord(payment)?.symbol || payment.token;
+  const increment = admin.firestore.FieldValue.increment(paymentRawAmount(payment));
+
+  tx.set(usersCollection.doc(payment.recipient_username), {
+    ...(symbol === USDC.symbol ? { total_claimed_raw: increment } : {}),
+    token_totals: { [symbol]: { claimed_raw: increment } },
+    updated_at: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+
+  tx.set(usersCollection.doc(payment.sender_username), {
+    ...(symbol === USDC.symbol ? { total_sent_raw: increment } : {}),
+    token_totals: { [symbol]: { sent_raw: increment } },
+    updated_at: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+}
+
+// Move a claiming payment to "completed", "failed" or back to "pending".
+// Only applies if the given attempt still holds the lock.
+async function transitionClaim(tweet_id, attemptId, nextStatus, fields = {}, reason = null) {
+  const paymentRef = paymentsCollection.doc(tweet_id);
+
+  return firestore.runTransaction(async (tx) => {
+    const doc = await tx.get(paymentRef);
+    const payment = doc.data();
+    if (!doc.exists || payment.status !== "claiming" || payment.claim_attempt_id !== attemptId) {
+      return false;
+    }
+
+    const update = {
+      status: nextStatus,
+      status_history: statusTransition("claiming", nextStatus, fields.claim_error || reason),
+      claim_lease_expires_at: null,
+      ...fields
+    };
+
+    if (nextStatus === "completed") {
+      update.claimed_by = payment.claim_wallet;
+      update.claimed_at = admin.firestore.FieldValue.serverTimestamp();
+      if (payment.escrow_status === "held") update.escrow_status = "released";
+      applyClaimStats(tx, payment);
+      queueClaimedReply(tx, tweet_id, payment);
+    }
+
+    if (nextStatus === "pending") {
+      update.claim_attempt_id = null;
+      update.claim_wallet = null;
+      update.claim_last_valid_block_height = null;
+      update.tx_signature = null;
+    }
+
+    tx.update(paymentRef, update);
+    return true;
+  });
+}
+
+// Where a submitted transaction stands: "landed", "failed" (landed with an error),
+// "expired" (never landed and its blockhash can no longer land) or "in_flight"
+async function checkSubmittedTransaction(signature, lastValidBlockHeight) {
+  const { value: sigStatus } = await solanaConnection.getSignatureStatus(signature, {
+    searchTransactionHistory: true
+  });
+
+  if (sigStatus && (sigStatus.confirmationStatus === "confirmed" || sigStatus.confirmationStatus === "finalized")) {
+    return sigStatus.err ? { state: "failed", err: sigStatus.err } : { state: "landed" };
+  }
+
+  const blockHeight = await solanaConnection.getBlockHeight("confirmed");
+  if (!sigStatus && blockHeight > (lastValidBlockHeight || 0)) {
+    return { state: "expired" };
+  }
+
+  return { state: "in_flight" };
+}
+
+// Decide the fate of a claim whose lease expired: complete it if its transaction
+// landed, mark it failed if the transaction errored, roll it back if it never
+// landed and its blockhash has expired. Returns the outcome.
+async function resolveStuckClaim(tweet_id, payment) {
+  const attemptId = payment.claim_attempt_id;
+
+  if (!payment.tx_signature) {
+    await transitionClaim(tweet_id, attemptId, "pending", {}, "abandoned_before_send");
+    return "rolled_back";
+  }
+
+  const check = await checkSubmittedTransaction(payment.tx_signature, payment.claim_last_valid_block_height);
+
+  if (check.state === "failed") {
+    await transitionClaim(tweet_id, attemptId, "failed", { claim_error: JSON.stringify(check.err) });
+    return "failed";
+  }
+
+  if (check.state === "landed") {
+    await transitionClaim(tweet_id, attemptId, "completed", {}, "landed_after_lease");
+    return "completed";
+  }
+
+  if (check.state === "expired") {
+    await transitionClaim(tweet_id, attemptId, "pending", {}, "blockhash_expired");
+    return "rolled_back";
+  }
+
+  return "in_flight";
+}
+
+// Check that the sender can cover a payment. Returns { senderWallet } or { status, body }.
+async function checkSenderCanPay(payment) {
+  const senderDoc = await usersCollection.doc(payment.sender_username).get();
+  const senderWallet = senderWalletOf(payment, senderDoc);
+
+  if (!senderWallet) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: "Sender has not registered a wallet. They need to log in and fund their account."
+      }
+    };
+  }
+
+  // Verify sender has sufficient authorized funds on-chain, in the payment's token
+  const token = TOKENS.forRecord(payment);
+  const fundStatus = await getSenderFundStatus(senderWallet, token);
+  const required = formatPaymentAmount(payment);
+  const requiredAmount = paymentAmountFields(payment).amount;
+
+  if (!fundStatus.authorized) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: `Sender has not authorized the vault for ${token.symbol}. Ask them to authorize first.`,
+        sender_status: {
+          token: token.symbol,
+          authorized: false,
+          balance: fundStatus.balance,
+          delegated_amount: fundStatus.delegatedAmount
+        }
+      }
+    };
+  }
+
+  if (fundStatus.rawDelegated < paymentRawAmount(payment)) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: `Sender's authorized amount (${formatTokenAmount(fundStatus.delegatedAmount, token.symbol)}) is less than payment amount (${required}).`,
+        sender_status: {
+          token: token.symbol,
+          authorized: true,
+          balance: fundStatus.balance,
           delegated_amount: fundStatus.delegatedAmount,
-          required: payment.amount
+          required: requiredAmount
         }
-      });
-    }
+      }
+    };
+  }
 
-    if (fundStatus.balance < payment.amount) {
-      return res.status(400).json({
+  if (fundStatus.rawBalance < paymentRawAmount(payment)) {
+    return {
+      status: 400,
+      body: {
         success: false,
-        error: `Sender's USDC balance ($${fundStatus.balance.toFixed(2)}) is less than payment amount ($${payment.amount}).`,
+        error: `Sender's ${token.symbol} balance (${formatTokenAmount(fundStatus.balance, token.symbol)}) is less than payment amount (${required}).`,
         sender_status: {
+          token: token.symbol,
           authorized: true,
           balance: fundStatus.balance,
           delegated_amount: fundStatus.delegatedAmount,
-          required: payment.amount
+          required: requiredAmount
         }
-      });
+      }
+    };
+  }
+
+  // First tweeted, first paid: earlier outstanding payments are covered first
+  const outstanding = await getOutstandingPayments(payment.sender_username);
+  const committedAhead = committedAheadOf(outstanding, payment);
+
+  if (committedAhead + paymentRawAmount(payment) > spendableRaw(fundStatus)) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: "Sender's available funds are reserved for their earlier payments.",
+        sender_status: {
+          token: token.symbol,
+          authorized: true,
+          balance: fundStatus.balance,
+          delegated_amount: fundStatus.delegatedAmount,
+          committed_ahead: fromBaseUnits(committedAhead, token.decimals),
+          required: requiredAmount
+        }
+      }
+    };
+  }
+
+  return { senderWallet, fundStatus };
+}
+
+// POST /api/claim - Claim a payment (with sender fund verification)
+// The recipient handle and payout wallet come from the session, not the body.
+app.post("/api/claim", requireSession(SESSION_SECRET), async (req, res) => {
+  try {
+    const { tweet_id } = req.body;
+    const { handle, wallet, x_user_id } = req.session;
+    const claimant = { handle, xUserId: x_user_id };
+    if (!tweet_id) {
+      return res.status(400).json({ success: false, message: "tweet_id required" });
     }
 
-    // ===== EXECUTE ON-CHAIN USDC TRANSFER =====
-    let txSignature = null;
+    if (!isValidWalletAddress(wallet)) {
+      return res.status(400).json({ success: false, error: "wallet must be a valid Solana wallet address" });
+    }
 
     if (!vaultKeypair) {
       return res.status(500).json({
@@ -483,114 +1582,131 @@ app.post("/api/claim", async (req, res) => {
       });
     }
 
-    try {
-      const senderPubkey = new PublicKey(senderWallet);
-      const recipientPubkey = new PublicKey(wallet);
-      const usdcMint = new PublicKey(USDC_MINT);
+    let lock = await acquireClaimLock(tweet_id, claimant, wallet);
+
+    if (lock.stuck) {
+      const outcome = await resolveStuckClaim(tweet_id, lock.payment);
+      console.log(`♻️ Resolved abandoned claim for tweet ${tweet_id}: ${outcome}`);
+
+      if (outcome === "completed") {
+        return res.json({
+          success: true,
+          message: "Payment claimed successfully",
+          ...paymentAmountFields(lock.payment),
+          sender: lock.payment.sender_username,
+          txSignature: lock.payment.tx_signature
+        });
+      }
 
-      const senderATA = await getAssociatedTokenAddress(usdcMint, senderPubkey);
-      const recipientATA = await getAssociatedTokenAddress(usdcMint, recipientPubkey);
+      if (outcome === "in_flight") {
+        return res.status(409).json({
+          success: false,
+          error: "A previous claim transaction is still confirming. Try again shortly.",
+          txSignature: lock.payment.tx_signature
+        });
+      }
 
-      const transferAmount = Math.floor(payment.amount * 1_000_000);
+      lock = await acquireClaimLock(tweet_id, claimant, wallet);
+    }
 
-      console.log(`📤 Transfer: $${payment.amount} USDC from @${payment.sender_username} to @${handle}`);
+    if (lock.error) {
+      return res.status(lock.status).json({ success: false, error: lock.error });
+    }
 
-      // Add priority fee to ensure transaction gets processed
-      const priorityFee = ComputeBudgetProgram.setComputeUnitPrice({
-        microLamports: 50000  // 50,000 microlamports = 0.00005 SOL per CU
-      });
+    const { attemptId, payment } = lock;
 
-      const computeLimit = ComputeBudgetProgram.setComputeUnitLimit({
-        units: 100000  // Token transfer needs ~20k, but set higher for safety
-      });
+    const escrowed = payment.escrow_status === "held";
+    const token = TOKENS.forRecord(payment);
+    const mintInfo = await getTokenMintInfo(token);
+    let sourceATA;
 
-      const transferInstruction = createTransferInstruction(
-        senderATA,
-        recipientATA,
-        vaultKeypair.publicKey,
-        transferAmount,
-        [],
-        TOKEN_PROGRAM_ID
-      );
-
-      // Priority fees first, then transfer
-      const transaction = new Transaction()
-        .add(priorityFee)
-        .add(computeLimit)
-        .add(transferInstruction);
-      transaction.feePayer = vaultKeypair.publicKey;
-
-      const { blockhash, lastValidBlockHeight } = await solanaConnection.getLatestBlockhash('confirmed');
-      transaction.recentBlockhash = blockhash;
-
-      // Check vault SOL balance before sending
-      const vaultBalance = await solanaConnection.getBalance(vaultKeypair.publicKey);
-      if (vaultBalance < 5000) {
-        throw new Error(`Vault has insufficient SOL for fees`);
+    if (escrowed) {
+      // Funds already sit in the vault
+      sourceATA = await getTokenAddress(mintInfo, vaultKeypair.publicKey);
+    } else {
+      const senderCheck = await checkSenderCanPay(payment);
+      if (!senderCheck.senderWallet) {
+        await transitionClaim(tweet_id, attemptId, "pending", {}, "sender_cannot_pay");
+        // Funds fell short, so demote whatever no longer fits
+        await rebalanceSenderCommitments(payment.sender_username);
+        return res.status(senderCheck.status).json(senderCheck.body);
       }
+      sourceATA = await getTokenAddress(mintInfo, new PublicKey(senderCheck.senderWallet));
+    }
 
-      // Sign the transaction
-      transaction.sign(vaultKeypair);
+    // ===== EXECUTE ON-CHAIN TOKEN TRANSFER =====
+    const recipientPubkey = new PublicKey(wallet);
+    const recipient = await prepareRecipientTokenAccount(mintInfo, recipientPubkey);
 
-      // Send raw transaction with skipPreflight for speed
-      const rawTransaction = transaction.serialize();
-      txSignature = await solanaConnection.sendRawTransaction(rawTransaction, {
-        skipPreflight: true,
-        maxRetries: 3
-      });
+    const transferAmount = paymentRawAmount(payment);
 
-      console.log(`📝 TX submitted: ${txSignature.slice(0, 20)}...`);
+    console.log(`📤 Transfer: ${formatPaymentAmount(payment)} from @${payment.sender_username}${escrowed ? " (escrow)" : ""} to @${handle}`);
 
-      // Confirm with timeout
-      const confirmation = await solanaConnection.confirmTransaction({
-        signature: txSignature,
-        blockhash,
-        lastValidBlockHeight
-      }, 'confirmed');
+    const instructions = [];
 
-      if (confirmation.value.err) {
-        throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
+    // New users may never have held the token; the vault pays rent for their account
+    if (recipient.createInstruction) {
+      console.log(`💡 Creating recipient ${token.symbol} ATA...`);
+      instructions.push(recipient.createInstruction);
+    }
+
+    instructions.push(
+      createTransferCheckedInstruction(
+        sourceATA,
+        mintInfo.mint,
+        recipient.ata,
+        vaultKeypair.publicKey,
+        transferAmount,
+        mintInfo.decimals,
+        [],
+        mintInfo.programId
+      )
+    );
+
+    // Persist each signature before it is sent so the claim can be resolved if we crash
+    let txSignature = null;
+    const result = await sendTransaction(solanaConnection, vaultKeypair, instructions, {
+      onSigned: async (signature, lastValidBlockHeight) => {
+        const recorded = await recordClaimSubmission(tweet_id, attemptId, signature, lastValidBlockHeight);
+        if (recorded) txSignature = signature;
+        return recorded;
       }
+    });
 
-      console.log(`✅ Transfer successful! TX: ${txSignature}`);
+    if (!result.success) {
+      console.error(`❌ On-chain transfer failed [${result.code}]:`, result.error);
+
+      if (result.landed) {
+        await transitionClaim(tweet_id, attemptId, "failed", { claim_error: result.code });
+      } else if (!txSignature) {
+        // Nothing was submitted, so the payment can safely go back to pending
+        await transitionClaim(tweet_id, attemptId, "pending", {}, "not_submitted");
+      }
+      // Otherwise it stays "claiming" until the lease expires and a retry
+      // resolves it from the recorded signature.
 
-    } catch (transferError) {
-      console.error(`❌ On-chain transfer failed:`, transferError);
       return res.status(500).json({
         success: false,
-        error: `Transfer failed: ${transferError.message}`,
-        details: transferError.logs || null
+        error: `Transfer failed: ${result.error}`,
+        code: result.code,
+        details: result.logs,
+        txSignature
       });
     }
 
-    // Update payment in Firestore
-    await paymentsCollection.doc(tweet_id).update({
-      status: "completed",
-      claimed_by: wallet,
-      tx_signature: txSignature,
-      claimed_at: admin.firestore.FieldValue.serverTimestamp()
-    });
+    console.log(`✅ Transfer successful! TX: ${txSignature}`);
 
-    // Update recipient stats
-    const recipientRef = usersCollection.doc(handle);
-    await recipientRef.set({
-      total_claimed: admin.firestore.FieldValue.increment(payment.amount),
-      updated_at: admin.firestore.FieldValue.serverTimestamp()
-    }, { merge: true });
+    // Mark completed and update sender/recipient stats
+    await transitionClaim(tweet_id, attemptId, "completed", {}, "transfer_confirmed");
 
-    // Update sender stats
-    const senderRef = usersCollection.doc(payment.sender_username);
-    await senderRef.set({
-      total_sent: admin.firestore.FieldValue.increment(payment.amount),
-      updated_at: admin.firestore.FieldValue.serverTimestamp()
-    }, { merge: true });
+    console.log(`💰 Payment claimed: @${payment.sender_username} → @${handle} ${formatPaymentAmount(payment)}`);
 
-    console.log(`💰 Payment claimed: @${payment.sender_username} → @${handle} $${payment.amount}`);
+    await rebalanceSenderCommitments(payment.sender_username);
 
     res.json({
       success: true,
       message: "Payment claimed successfully",
-      amount: payment.amount,
+      ...paymentAmountFields(payment),
       sender: payment.sender_username,
       txSignature
     });
@@ -600,84 +1716,847 @@ app.post("/api/claim", async (req, res) => {
   }
 });
 
-// ===== DEPOSITS =====
+// ===== ESCROW =====
+// In escrow mode a recorded payment is pulled from the sender's delegated ATA
+// into the vault (escrow_status unfunded → funding → held) and claims pay out
+// of the vault (held → released). Held payments that expire or are cancelled
+// are sent back to the sender (status refunding → expired | cancelled,
+// escrow_status refunded). Every transfer's signature is stored before it is
+// sent so abandoned attempts can be resolved from chain.
+
+// Start an escrow transfer: move the payment to `lockFields` if `canStart`
+// allows it. Returns the attempt id, or null if another process got there first.
+async function lockEscrowTransfer(tweet_id, canStart, lockFields) {
+  const paymentRef = paymentsCollection.doc(tweet_id);
+
+  return firestore.runTransaction(async (tx) => {
+    const doc = await tx.get(paymentRef);
+    if (!doc.exists || !canStart(doc.data())) return null;
+
+    const attemptId = crypto.randomUUID();
+    tx.update(paymentRef, {
+      ...lockFields(doc.data()),
+      escrow_attempt_id: attemptId,
+      escrow_lease_expires_at: admin.firestore.Timestamp.fromMillis(Date.now() + CLAIM_LEASE_MS),
+      escrow_error: null
+    });
+    return attemptId;
+  });
+}
+
+// Apply `fields` if the escrow attempt still holds the lock
+async function updateEscrowAttempt(tweet_id, attemptId, fields) {
+  const paymentRef = paymentsCollection.doc(tweet_id);
+
+  return firestore.runTransaction(async (tx) => {
+    const doc = await tx.get(paymentRef);
+    if (!doc.exists || doc.data().escrow_attempt_id !== attemptId) return false;
+    tx.update(paymentRef, fields);
+    return true;
+  });
+}
+
+// Send an escrow transfer with the vault as signer. `signatureField` and
+// `heightField` name where the submitted signature is recorded.
+// Returns { result, txSignature }.
+async function sendEscrowTransfer(tweet_id, attemptId, instructions, signatureField, heightField) {
+  let txSignature = null;
+  const result = await sendTransaction(solanaConnection, vaultKeypair, instructions, {
+    onSigned: async (signature, lastValidBlockHeight) => {
+      const recorded = await updateEscrowAttempt(tweet_id, attemptId, {
+        [signatureField]: signature,
+        [heightField]: lastValidBlockHeight
+      });
+      if (recorded) txSignature = signature;
+      return recorded;
+    }
+  });
+  return { result, txSignature };
+}
+
+const ESCROW_FUNDED = { escrow_status: "held", escrow_lease_expires_at: null };
+const ESCROW_UNFUNDED = { escrow_status: "unfunded", escrow_lease_expires_at: null };
+
+// Pull a pending payment's amount from the sender into the vault.
+// Returns "held", "unfunded", "in_flight" or "skipped".
+async function fundEscrow(tweet_id) {
+  if (!vaultKeypair) return "skipped";
+
+  const attemptId = await lockEscrowTransfer(
+    tweet_id,
+    p => p.status === "pending" && (!p.escrow_status || p.escrow_status === "unfunded") && !!TOKENS.forRecord(p),
+    () => ({
+      escrow_status: "funding",
+      escrow_tx_signature: null,
+      escrow_last_valid_block_height: null
+    })
+  );
+  if (!attemptId) return "skipped";
+
+  const paymentDoc = await paymentsCollection.doc(tweet_id).get();
+  const payment = paymentDoc.data();
 
-app.post("/api/deposit", async (req, res) => {
   try {
-    const { handle, amount } = req.body;
-    if (!handle || !amount) {
-      return res.status(400).json({ success: false, message: "Missing fields" });
+    const senderDoc = await usersCollection.doc(payment.sender_username).get();
+    const senderWallet = senderWalletOf(payment, senderDoc);
+    if (!senderWallet) {
+      await updateEscrowAttempt(tweet_id, attemptId, { ...ESCROW_UNFUNDED, escrow_error: "Sender has no wallet" });
+      return "unfunded";
     }
 
-    const normalizedHandle = normalizeHandle(handle);
-    const userRef = usersCollection.doc(normalizedHandle);
+    const token = TOKENS.forRecord(payment);
+    const mintInfo = await getTokenMintInfo(token);
+    const senderATA = await getTokenAddress(mintInfo, new PublicKey(senderWallet));
+    const vault = await prepareRecipientTokenAccount(mintInfo, vaultKeypair.publicKey);
 
-    await userRef.set({
-      total_deposited: admin.firestore.FieldValue.increment(Number(amount)),
-      updated_at: admin.firestore.FieldValue.serverTimestamp()
-    }, { merge: true });
+    const instructions = [];
+    if (vault.createInstruction) instructions.push(vault.createInstruction);
+    instructions.push(
+      createTransferCheckedInstruction(
+        senderATA,
+        mintInfo.mint,
+        vault.ata,
+        vaultKeypair.publicKey,
+        paymentRawAmount(payment),
+        mintInfo.decimals,
+        [],
+        mintInfo.programId
+      )
+    );
+
+    const { result, txSignature } = await sendEscrowTransfer(
+      tweet_id, attemptId, instructions, "escrow_tx_signature", "escrow_last_valid_block_height"
+    );
+
+    if (result.success) {
+      await updateEscrowAttempt(tweet_id, attemptId, {
+        ...ESCROW_FUNDED,
+        escrow_funded_at: admin.firestore.FieldValue.serverTimestamp()
+      });
+      console.log(`🔒 Escrowed ${formatPaymentAmount(payment)} from @${payment.sender_username} for tweet ${tweet_id}`);
+      await rebalanceSenderCommitments(payment.sender_username);
+      return "held";
+    }
 
-    console.log(`💰 Deposit: @${normalizedHandle} +$${amount}`);
-    res.json({ success: true, message: "Deposit recorded" });
+    console.warn(`⚠️ Escrow funding failed for tweet ${tweet_id} [${result.code}]: ${result.error}`);
+    if (result.landed || !txSignature) {
+      await updateEscrowAttempt(tweet_id, attemptId, { ...ESCROW_UNFUNDED, escrow_error: result.code });
+      return "unfunded";
+    }
+    // Submitted but unconfirmed; runEscrowMaintenance resolves it once the lease expires
+    return "in_flight";
   } catch (e) {
-    console.error("/api/deposit error:", e);
-    res.status(500).json({ success: false, message: e.message });
+    console.error(`Escrow funding error for tweet ${tweet_id}:`, e.message);
+    await updateEscrowAttempt(tweet_id, attemptId, { ...ESCROW_UNFUNDED, escrow_error: e.message });
+    return "unfunded";
   }
-});
+}
 
-// ===== FUND STATUS CHECK =====
+// Send a held payment back to the sender and close it as `finalStatus`
+// ("expired" or "cancelled"). Returns "refunded", "held", "in_flight" or "skipped".
+async function refundEscrow(tweet_id, finalStatus, reason, by = "system") {
+  if (!vaultKeypair) return "skipped";
+
+  const attemptId = await lockEscrowTransfer(
+    tweet_id,
+    p => CLOSABLE_STATUSES.includes(p.status) && p.escrow_status === "held",
+    p => ({
+      status: "refunding",
+      status_history: statusTransition(p.status, "refunding", reason, by),
+      refund_previous_status: p.status,
+      refund_final_status: finalStatus,
+      refund_reason: reason,
+      refund_tx_signature: null,
+      refund_last_valid_block_height: null
+    })
+  );
+  if (!attemptId) return "skipped";
+
+  const paymentDoc = await paymentsCollection.doc(tweet_id).get();
+  const payment = paymentDoc.data();
+  const rollBack = {
+    status: payment.refund_previous_status,
+    status_history: statusTransition("refunding", payment.refund_previous_status, "refund_failed"),
+    escrow_lease_expires_at: null
+  };
 
-app.get("/api/check-fund-status", async (req, res) => {
   try {
-    const wallet = req.query.wallet;
-    if (!wallet) {
-      return res.status(400).json({ success: false, message: "wallet required" });
+    const senderDoc = await usersCollection.doc(payment.sender_username).get();
+    const senderWallet = senderWalletOf(payment, senderDoc);
+    if (!senderWallet) {
+      await updateEscrowAttempt(tweet_id, attemptId, { ...rollBack, escrow_error: "Sender has no wallet" });
+      return "held";
+    }
+
+    const token = TOKENS.forRecord(payment);
+    if (!token) {
+      await updateEscrowAttempt(tweet_id, attemptId, { ...rollBack, escrow_error: unsupportedTokenError(payment) });
+      return "held";
+    }
+    const mintInfo = await getTokenMintInfo(token);
+    const vaultATA = await getTokenAddress(mintInfo, vaultKeypair.publicKey);
+    const sender = await prepareRecipientTokenAccount(mintInfo, new PublicKey(senderWallet));
+
+    const instructions = [];
+    if (sender.createInstruction) instructions.push(sender.createInstruction);
+    instructions.push(
+      createTransferCheckedInstruction(
+        vaultATA,
+        mintInfo.mint,
+        sender.ata,
+        vaultKeypair.publicKey,
+        paymentRawAmount(payment),
+        mintInfo.decimals,
+        [],
+        mintInfo.programId
+      )
+    );
+
+    const { result, txSignature } = await sendEscrowTransfer(
+      tweet_id, attemptId, instructions, "refund_tx_signature", "refund_last_valid_block_height"
+    );
+
+    if (result.success) {
+      await updateEscrowAttempt(tweet_id, attemptId, escrowRefunded(payment));
+      console.log(`↩️ Refunded ${formatPaymentAmount(payment)} to @${payment.sender_username} for ${finalStatus} tweet ${tweet_id}`);
+      return "refunded";
     }
 
-    const status = await getSenderFundStatus(wallet);
-    res.json({ success: true, ...status });
+    console.warn(`⚠️ Escrow refund failed for tweet ${tweet_id} [${result.code}]: ${result.error}`);
+    if (result.landed || !txSignature) {
+      await updateEscrowAttempt(tweet_id, attemptId, { ...rollBack, escrow_error: result.code });
+      return "held";
+    }
+    return "in_flight";
   } catch (e) {
-    console.error("/api/check-fund-status error:", e);
-    res.status(500).json({ success: false, message: e.message });
+    console.error(`Escrow refund error for tweet ${tweet_id}:`, e.message);
+    await updateEscrowAttempt(tweet_id, attemptId, { ...rollBack, escrow_error: e.message });
+    return "held";
   }
-});
+}
 
-// ===== LEADERBOARD =====
+// Fields closing a payment whose escrow refund landed
+function escrowRefunded(payment) {
+  return {
+    status: payment.refund_final_status,
+    status_history: statusTransition("refunding", payment.refund_final_status, payment.refund_reason),
+    escrow_status: "refunded",
+    escrow_lease_expires_at: null,
+    refunded_at: admin.firestore.FieldValue.serverTimestamp(),
+    closed_at: admin.firestore.FieldValue.serverTimestamp(),
+    close_reason: payment.refund_reason
+  };
+}
+
+// Settle an escrow transfer whose lease expired from its recorded signature
+async function resolveStuckEscrow(doc) {
+  const payment = doc.data();
+  const refunding = payment.status === "refunding";
+  const signature = refunding ? payment.refund_tx_signature : payment.escrow_tx_signature;
+  const height = refunding ? payment.refund_last_valid_block_height : payment.escrow_last_valid_block_height;
+  const rollBack = refunding
+    ? {
+      status: payment.refund_previous_status,
+      status_history: statusTransition("refunding", payment.refund_previous_status, "refund_failed"),
+      escrow_lease_expires_at: null
+    }
+    : ESCROW_UNFUNDED;
+
+  const check = signature ? await checkSubmittedTransaction(signature, height) : { state: "expired" };
+  if (check.state === "in_flight") return "in_flight";
+
+  if (check.state === "landed") {
+    await updateEscrowAttempt(doc.id, payment.escrow_attempt_id, refunding
+      ? escrowRefunded(payment)
+      : { ...ESCROW_FUNDED, escrow_funded_at: admin.firestore.FieldValue.serverTimestamp() });
+    return refunding ? "refunded" : "held";
+  }
+
+  await updateEscrowAttempt(doc.id, payment.escrow_attempt_id, {
+    ...rollBack,
+    escrow_error: check.state === "failed" ? JSON.stringify(check.err) : "expired"
+  });
+  return "rolled_back";
+}
+
+let escrowMaintenanceRunning = false;
+
+// Resolve abandoned escrow transfers and retry funding
+async function runEscrowMaintenance() {
+  if (escrowMaintenanceRunning || !vaultKeypair) return;
+  escrowMaintenanceRunning = true;
 
-app.get("/api/leaderboard", async (req, res) => {
   try {
-    const usersSnapshot = await usersCollection.limit(50).get();
-    const users = [];
-    usersSnapshot.forEach(doc => {
-      const data = doc.data();
-      const totalSent = data.total_sent || 0;
-      const totalClaimed = data.total_claimed || 0;
-      const points = (totalSent * 10) + (totalClaimed * 5); // 10 pts per $ sent, 5 pts per $ claimed
+    const now = Date.now();
 
-      if (totalSent > 0 || totalClaimed > 0) {
-        users.push({
-          x_username: data.x_username,
-          wallet_address: doc.id, // The document ID is the wallet address
-          total_sent: totalSent,
-          total_claimed: totalClaimed,
-          points
-        });
-      }
+    const stuck = await paymentsCollection
+      .where("escrow_lease_expires_at", "<=", admin.firestore.Timestamp.fromMillis(now))
+      .get();
+    for (const doc of stuck.docs) {
+      const outcome = await resolveStuckEscrow(doc);
+      console.log(`♻️ Resolved abandoned escrow transfer for tweet ${doc.id}: ${outcome}`);
+    }
+
+    const unfunded = await paymentsCollection
+      .where("status", "==", "pending")
+      .where("escrow_status", "==", "unfunded")
+      .get();
+    for (const doc of unfunded.docs) {
+      await fundEscrow(doc.id);
+    }
+  } catch (e) {
+    console.error("Escrow maintenance error:", e.message);
+  } finally {
+    escrowMaintenanceRunning = false;
+  }
+}
+
+// ===== PAYMENT LIFECYCLE =====
+// Unclaimed payments close as "expired" once the claim window passes, or as
+// "cancelled" by their sender (API or "@bot_wassy cancel <tweet link>") or
+// when the payment tweet is deleted. Escrowed funds go back to the sender.
+// Payments over the sender's confirmation threshold wait as
+// "awaiting_confirmation" and close as "lapsed" if not confirmed in time.
+const CLOSABLE_STATUSES = ["pending", "failed", "over_committed", "awaiting_confirmation"];
+const TWEET_LOOKUP_BATCH = 100;
+
+function paymentExpiresAt(payment) {
+  const createdMs = payment.created_at?.toMillis?.();
+  return createdMs ? new Date(createdMs + PAYMENT_EXPIRY_MS) : null;
+}
+
+// Close an unclaimed payment as `nextStatus` ("expired" | "cancelled" | "lapsed"). When
+// `sender` is given only that sender may close it.
+// Returns { outcome: "closed" | "refunded" | "refund_pending", payment } or { status, error }.
+async function closePayment(tweet_id, nextStatus, reason, { by = "system", sender = null } = {}) {
+  const paymentRef = paymentsCollection.doc(tweet_id);
+
+  const result = await firestore.runTransaction(async (tx) => {
+    const doc = await tx.get(paymentRef);
+    if (!doc.exists) {
+      return { status: 404, error: "Payment not found" };
+    }
+
+    const payment = doc.data();
+
+    if (sender && payment.sender_username !== sender) {
+      return { status: 403, error: "Only the sender can cancel this payment" };
+    }
+
+    if (!CLOSABLE_STATUSES.includes(payment.status)) {
+      return { status: 409, error: `Payment can no longer be ${nextStatus} (status: ${payment.status})` };
+    }
+
+    if (payment.escrow_status === "funding") {
+      return { status: 409, error: "Payment is being moved into escrow. Try again shortly." };
+    }
+
+    if (payment.escrow_status === "held") {
+      return { refund: true, payment };
+    }
+
+    tx.update(paymentRef, {
+      status: nextStatus,
+      status_history: statusTransition(payment.status, nextStatus, reason, by),
+      closed_at: admin.firestore.FieldValue.serverTimestamp(),
+      close_reason: reason
     });
+    return { outcome: "closed", payment };
+  });
 
-    // Sort by points descending
-    users.sort((a, b) => b.points - a.points);
+  if (result.error) return result;
 
-    res.json({ success: true, users: users.slice(0, 20) });
+  if (result.refund) {
+    const refund = await refundEscrow(tweet_id, nextStatus, reason, by);
+    if (refund === "in_flight") {
+      result.outcome = "refund_pending";
+    } else if (refund === "refunded") {
+      result.outcome = "refunded";
+    } else {
+      return { status: 502, error: "Could not refund the escrowed amount. Try again later." };
+    }
+  }
+
+  console.log(`🚫 Payment ${tweet_id} ${nextStatus} (${reason}): @${result.payment.sender_username} → @${result.payment.recipient_username} ${formatPaymentAmount(result.payment)}`);
+
+  // Freed allowance may cover the sender's over-committed payments
+  await rebalanceSenderCommitments(result.payment.sender_username);
+
+  return { outcome: result.outcome, payment: result.payment };
+}
+
+// POST /api/payments/:tweet_id/cancel - Sender takes back an unclaimed payment
+app.post("/api/payments/:tweet_id/cancel", requireSession(SESSION_SECRET), async (req, res) => {
+  try {
+    const result = await closePayment(req.params.tweet_id, "cancelled", "sender_cancelled", {
+      by: "sender",
+      sender: req.session.handle
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: result.outcome === "refund_pending"
+        ? "Payment cancelled; the escrow refund is still confirming"
+        : "Payment cancelled",
+      outcome: result.outcome
+    });
   } catch (e) {
-    console.error("/api/leaderboard error:", e);
+    console.error("/api/payments/cancel error:", e);
     res.status(500).json({ success: false, message: e.message });
   }
 });
 
-// ===== ADMIN =====
-
-app.get("/api/admin/users", async (req, res) => {
+// Payments recorded from a tweet (one per recipient; older payments use the tweet ID as doc ID)
+async function paymentsForTweet(tweetId) {
+  const snapshot = await paymentsCollection.where("source_tweet_id", "==", tweetId).get();
+  const docs = [...snapshot.docs];
+  if (docs.length === 0) {
+    const legacy = await paymentsCollection.doc(tweetId).get();
+    if (legacy.exists) docs.push(legacy);
+  }
+  return docs;
+}
+
+// Handle "@bot_wassy cancel <tweet link>" from `sender`
+async function cancelTweetPayments(tweetId, sender, commandTweetId) {
+  const payments = sender ? await paymentsForTweet(tweetId) : [];
+  if (payments.length === 0) {
+    console.log(`⛔ Cancel of ${tweetId} by tweet ${commandTweetId} rejected: no payments from @${sender || "unknown"}`);
+    return;
+  }
+
+  for (const doc of payments) {
+    const result = await closePayment(doc.id, "cancelled", "sender_cancelled_by_tweet", { by: "sender", sender });
+    if (result.error) {
+      console.log(`⛔ Cancel of ${doc.id} by tweet ${commandTweetId} rejected: ${result.error}`);
+    }
+  }
+}
+
+// Confirm a payment awaiting confirmation. It takes its place among the
+// sender's commitments as if just recorded: "pending", or "over_committed"
+// if their allowance doesn't cover it.
+// `senderXUserId` is the X user ID of whoever is confirming (the session's or
+// the command author's); without it the sender's user doc stands in for it.
+// Returns { status: "pending" | "over_committed", reason, payment } or { status, error }.
+async function confirmPayment(tweet_id, { sender, senderXUserId = null, by = "sender" }) {
+  const paymentRef = paymentsCollection.doc(tweet_id);
+  const doc = await paymentRef.get();
+  if (!doc.exists) {
+    return { status: 404, error: "Payment not found" };
+  }
+
+  const payment = doc.data();
+  if (payment.sender_username !== sender) {
+    return { status: 403, error: "Only the sender can confirm this payment" };
+  }
+
+  // A handle that has changed hands since the payment can't confirm it
+  const senderDoc = await usersCollection.doc(sender).get();
+  const confirmerXUserId = senderXUserId || senderDoc.data()?.x_user_id || null;
+  if (payment.sender_x_user_id && confirmerXUserId && confirmerXUserId !== payment.sender_x_user_id) {
+    return { status: 403, error: "Only the sender can confirm this payment" };
+  }
+
+  if (payment.status !== "awaiting_confirmation") {
+    return { status: 409, error: `Payment is not awaiting confirmation (status: ${payment.status})` };
+  }
+
+  const token = TOKENS.forRecord(payment);
+  if (!token) {
+    return { status: 409, error: `This payment can't be confirmed: ${unsupportedTokenError(payment)}` };
+  }
+  const senderWallet = senderWalletOf(payment, senderDoc);
+  const fundStatus = senderWallet ? await getSenderFundStatus(senderWallet, token) : { authorized: false };
+  const outstanding = await getOutstandingPayments(sender);
+  const plan = planCommitments(
+    [...outstanding.filter(p => TOKENS.forRecord(p) === token), { id: tweet_id, ...payment, status: "pending" }]
+      .sort(compareTweetOrder),
+    spendableRaw(fundStatus)
+  );
+  const nextStatus = plan.statuses.get(tweet_id);
+  const reason = nextStatus !== "over_committed" ? "confirmed"
+    : senderWallet ? "insufficient_allowance" : "sender_unregistered";
+
+  const result = await firestore.runTransaction(async (tx) => {
+    const current = await tx.get(paymentRef);
+    const data = current.data();
+    if (data.status !== "awaiting_confirmation") {
+      return { status: 409, error: `Payment is not awaiting confirmation (status: ${data.status})` };
+    }
+    if ((data.confirmation_expires_at?.toMillis?.() || 0) <= Date.now()) {
+      return { status: 410, error: "The confirmation window for this payment has passed" };
+    }
+
+    tx.update(paymentRef, {
+      status: nextStatus,
+      status_history: statusTransition(data.status, nextStatus, "confirmed", by),
+      confirmed_at: admin.firestore.FieldValue.serverTimestamp(),
+      confirmation_expires_at: null,
+      updated_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return { status: nextStatus, reason, payment: data };
+  });
+
+  if (result.error) return result;
+
+  console.log(`👍 Payment ${tweet_id} confirmed by @${sender} (${nextStatus}): → @${payment.recipient_username} ${formatPaymentAmount(payment)}`);
+
+  if (ESCROW_MODE && nextStatus === "pending") {
+    await fundEscrow(tweet_id);
+  }
+  await rebalanceSenderCommitments(sender, fundStatus.error ? {} : { [token.symbol]: fundStatus });
+
+  return result;
+}
+
+// POST /api/payments/:tweet_id/confirm - Sender confirms a payment over their threshold
+app.post("/api/payments/:tweet_id/confirm", requireSession(SESSION_SECRET), async (req, res) => {
+  try {
+    const result = await confirmPayment(req.params.tweet_id, {
+      sender: req.session.handle,
+      senderXUserId: req.session.x_user_id
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: result.status === "over_committed"
+        ? "Payment confirmed; it is held until you authorize enough funds"
+        : "Payment confirmed",
+      status: result.status
+    });
+  } catch (e) {
+    console.error("/api/payments/confirm error:", e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+// Thresholds per token as returned by the API: the user's own or the default
+function confirmationThresholdsFor(user) {
+  return Object.fromEntries(SUPPORTED_TOKENS.map(token => {
+    const raw = confirmationThresholdRaw(user, token);
+    return [token.symbol, {
+      amount: raw === null ? null : fromBaseUnits(raw, token.decimals),
+      amount_raw: raw,
+      custom: Number.isSafeInteger(user?.confirmation_thresholds?.[token.symbol])
+    }];
+  }));
+}
+
+// GET /api/settings/confirmation-thresholds - Amounts above which commands need confirming
+app.get("/api/settings/confirmation-thresholds", requireSession(SESSION_SECRET), async (req, res) => {
+  try {
+    const doc = await usersCollection.doc(req.session.handle).get();
+    res.json({ success: true, thresholds: confirmationThresholdsFor(doc.exists ? doc.data() : null) });
+  } catch (e) {
+    console.error("/api/settings/confirmation-thresholds error:", e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+// PUT /api/settings/confirmation-thresholds - Set one token's threshold
+// Body: { token, amount } in token units; amount null goes back to the default
+app.put("/api/settings/confirmation-thresholds", requireSession(SESSION_SECRET), async (req, res) => {
+  try {
+    const token = TOKENS.get(req.body?.token);
+    if (!token) {
+      return res.status(400).json({ success: false, message: `token must be one of ${SUPPORTED_TOKENS.map(t => t.symbol).join(", ")}` });
+    }
+
+    const amount = req.body?.amount;
+    let value = admin.firestore.FieldValue.delete();
+    if (amount !== null && amount !== undefined) {
+      const raw = parseDecimalAmount(amount, token.decimals);
+      if (raw === null || raw > token.maxRaw) {
+        return res.status(400).json({ success: false, message: `amount must be a ${token.symbol} amount with at most ${token.decimals} decimals` });
+      }
+      value = raw;
+    }
+
+    const userRef = usersCollection.doc(req.session.handle);
+    await userRef.set({ confirmation_thresholds: { [token.symbol]: value } }, { merge: true });
+
+    const doc = await userRef.get();
+    res.json({ success: true, thresholds: confirmationThresholdsFor(doc.data()) });
+  } catch (e) {
+    console.error("/api/settings/confirmation-thresholds error:", e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+// Handle "@bot_wassy confirm" from `sender` for the payments of command `commandTweetId`.
+// `senderXUserId` is the confirming tweet's author, for X commands.
+// Once confirmed, X commands get the reply they would have had when recorded.
+async function confirmCommandPayments(commandTweetId, sender, confirmingId, senderXUserId = null) {
+  const payments = sender ? await paymentsForTweet(commandTweetId) : [];
+  const confirmed = [];
+
+  for (const doc of payments) {
+    if (doc.data().status !== "awaiting_confirmation") continue;
+    const result = await confirmPayment(doc.id, { sender, senderXUserId });
+    if (result.error) {
+      console.log(`⛔ Confirmation of ${doc.id} by ${confirmingId} rejected: ${result.error}`);
+      continue;
+    }
+    confirmed.push({
+      recipient: result.payment.recipient_username,
+      amount: formatPaymentAmount(result.payment),
+      paymentId: doc.id,
+      status: result.status,
+      reason: result.reason
+    });
+  }
+
+  if (confirmed.length === 0) {
+    console.log(`⛔ Confirmation of ${commandTweetId} by ${confirmingId}: nothing awaiting confirmation from @${sender || "unknown"}`);
+    return;
+  }
+
+  if ((payments[0].data().source || "x") === "x") {
+    await queueReply(commandTweetId, "recorded", { sender, payments: confirmed, frontendUrl: FRONTEND_URL });
+  }
+}
+
+// Tweet IDs from `ids` that X reports as not found (deleted)
+async function findDeletedTweets(ids) {
+  const deleted = [];
+
+  for (let i = 0; i < ids.length; i += TWEET_LOOKUP_BATCH) {
+    const batch = ids.slice(i, i + TWEET_LOOKUP_BATCH);
+    const response = await xClient.get("/2/tweets", { ids: batch.join(",") });
+
+    if (response.rateLimited) {
+      console.warn(`⚠️ Rate limit reached looking up payment tweets. Checking the rest after ${new Date(response.resetAt).toISOString()}.`);
+      break;
+    }
+
+    if (!response.ok) {
+      throw new Error(`X API error: ${JSON.stringify(response.data)}`);
+    }
+
+    const data = response.data;
+    for (const err of data.errors || []) {
+      if (err.type === "https://api.twitter.com/2/problems/resource-not-found" && err.resource_type === "tweet") {
+        deleted.push(err.value || err.resource_id);
+      }
+    }
+  }
+
+  return deleted;
+}
+
+let paymentLifecycleRunning = false;
+
+// Lapse unconfirmed payments, expire payments past the claim window and
+// cancel those whose tweet is gone
+async function runPaymentLifecycle() {
+  if (paymentLifecycleRunning) return;
+  paymentLifecycleRunning = true;
+
+  try {
+    const lapsed = await paymentsCollection
+      .where("status", "==", "awaiting_confirmation")
+      .where("confirmation_expires_at", "<=", admin.firestore.Timestamp.now())
+      .get();
+
+    for (const doc of lapsed.docs) {
+      const result = await closePayment(doc.id, "lapsed", "confirmation_timeout");
+      if (result.error) console.warn(`⚠️ Could not lapse payment ${doc.id}: ${result.error}`);
+    }
+
+    const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - PAYMENT_EXPIRY_MS);
+    const expired = await paymentsCollection
+      .where("status", "in", CLOSABLE_STATUSES)
+      .where("created_at", "<=", cutoff)
+      .get();
+
+    for (const doc of expired.docs) {
+      const result = await closePayment(doc.id, "expired", "claim_window_elapsed");
+      if (result.error) console.warn(`⚠️ Could not expire payment ${doc.id}: ${result.error}`);
+    }
+
+    if (!xClient) return;
+
+    const open = await paymentsCollection
+      .where("status", "in", CLOSABLE_STATUSES)
+      .get();
+
+    // tweet ID → open payment IDs (payments from other sources have no tweet)
+    const byTweet = new Map();
+    for (const doc of open.docs) {
+      if (doc.data().source && doc.data().source !== "x") continue;
+      const tweetId = doc.data().source_tweet_id || doc.id;
+      byTweet.set(tweetId, [...(byTweet.get(tweetId) || []), doc.id]);
+    }
+
+    const deleted = await findDeletedTweets([...byTweet.keys()]);
+
+    for (const tweetId of deleted) {
+      for (const paymentId of byTweet.get(tweetId) || []) {
+        const result = await closePayment(paymentId, "cancelled", "tweet_deleted");
+        if (result.error) console.warn(`⚠️ Could not cancel payment ${paymentId}: ${result.error}`);
+      }
+    }
+
+    console.log(`✅ Payment lifecycle check complete (${lapsed.size} lapsed, ${expired.size} expired, ${deleted.length} deleted tweets).`);
+  } catch (e) {
+    console.error("Payment lifecycle error:", e.message);
+  } finally {
+    paymentLifecycleRunning = false;
+  }
+}
+
+// ===== DEPOSITS =====
+
+// POST /api/deposit - Credit a deposit from a confirmed on-chain transfer
+// Body: { signature } of a USDC transfer from the session wallet into the vault ATA
+app.post("/api/deposit", requireSession(SESSION_SECRET), async (req, res) => {
+  try {
+    const { signature } = req.body;
+    const { handle, wallet } = req.session;
+    if (!signature) {
+      return res.status(400).json({ success: false, message: "signature required" });
+    }
+
+    const existing = await depositsCollection.doc(signature).get();
+    if (existing.exists) {
+      return res.status(409).json({ success: false, message: "Deposit already recorded" });
+    }
+
+    const mintInfo = await getMintInfo(USDC_MINT);
+    const vaultAta = await getTokenAddress(mintInfo, new PublicKey(VAULT_ADDRESS));
+
+    const parsedTx = await solanaConnection.getParsedTransaction(signature, {
+      commitment: "confirmed",
+      maxSupportedTransactionVersion: 0
+    });
+
+    const verified = verifyDepositTransaction(parsedTx, {
+      mint: USDC_MINT,
+      vaultTokenAccount: vaultAta.toBase58(),
+      wallet
+    });
+
+    if (verified.error) {
+      return res.status(400).json({ success: false, message: verified.error });
+    }
+
+    const amount = fromBaseUnits(verified.rawAmount, mintInfo.decimals);
+
+    // Record the signature and credit the user atomically; create() fails on a replay
+    try {
+      await firestore.runTransaction(async (tx) => {
+        tx.create(depositsCollection.doc(signature), {
+          signature,
+          x_username: handle,
+          wallet,
+          raw_amount: verified.rawAmount,
+          amount,
+          slot: parsedTx.slot,
+          created_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+        tx.set(usersCollection.doc(handle), {
+          total_deposited_raw: admin.firestore.FieldValue.increment(verified.rawAmount),
+          updated_at: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+      });
+    } catch (e) {
+      if (e.code === 6) { // ALREADY_EXISTS
+        return res.status(409).json({ success: false, message: "Deposit already recorded" });
+      }
+      throw e;
+    }
+
+    console.log(`💰 Deposit: @${handle} +$${amount} (TX ${signature.slice(0, 20)}...)`);
+    res.json({ success: true, message: "Deposit recorded", amount, amount_raw: verified.rawAmount, signature });
+  } catch (e) {
+    console.error("/api/deposit error:", e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+// ===== FUND STATUS CHECK =====
+
+// ?wallet=...&token=SYMBOL for one token; without token, USDC at the top
+// level (as before) plus every supported token under `tokens`
+app.get("/api/check-fund-status", async (req, res) => {
+  try {
+    const wallet = req.query.wallet;
+    if (!wallet) {
+      return res.status(400).json({ success: false, message: "wallet required" });
+    }
+
+    if (req.query.token) {
+      const token = TOKENS.get(req.query.token);
+      if (!token) {
+        return res.status(400).json({ success: false, message: `Unsupported token ${req.query.token}` });
+      }
+      const status = await getSenderFundStatus(wallet, token);
+      return res.json({ success: true, ...status });
+    }
+
+    const statuses = await Promise.all(TOKENS.tokens.map(token => getSenderFundStatus(wallet, token)));
+    const tokens = Object.fromEntries(statuses.map(status => [status.token, status]));
+    res.json({ success: true, ...tokens[USDC.symbol], tokens });
+  } catch (e) {
+    console.error("/api/check-fund-status error:", e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+// ===== LEADERBOARD =====
+
+// A user's USDC total in base units. Users not yet migrated still carry the
+// float total_sent / total_claimed / total_deposited next to the _raw counter.
+function userTotalRaw(user, field) {
+  return (user[`${field}_raw`] || 0) + toBaseUnits(user[field] || 0, USDC.decimals);
+}
+
+app.get("/api/leaderboard", async (req, res) => {
+  try {
+    const usersSnapshot = await usersCollection.limit(50).get();
+    const users = [];
+    usersSnapshot.forEach(doc => {
+      const data = doc.data();
+      const totalSent = userTotalRaw(data, "total_sent");
+      const totalClaimed = userTotalRaw(data, "total_claimed");
+      // 10 pts per $ sent, 5 pts per $ claimed
+      const points = (totalSent * 10 + totalClaimed * 5) / 10 ** USDC.decimals;
+
+      if (totalSent > 0 || totalClaimed > 0) {
+        users.push({
+          x_username: data.x_username,
+          wallet_address: doc.id, // The document ID is the wallet address
+          total_sent: fromBaseUnits(totalSent, USDC.decimals),
+          total_sent_raw: totalSent,
+          total_claimed: fromBaseUnits(totalClaimed, USDC.decimals),
+          total_claimed_raw: totalClaimed,
+          points
+        });
+      }
+    });
+
+    // Sort by points descending
+    users.sort((a, b) => b.points - a.points);
+
+    res.json({ success: true, users: users.slice(0, 20) });
+  } catch (e) {
+    console.error("/api/leaderboard error:", e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+// ===== ADMIN =====
+
+app.get("/api/admin/users", requireAdmin("operator"), async (req, res) => {
   try {
     const usersSnapshot = await usersCollection.limit(100).get();
     const users = [];
@@ -689,472 +2568,2619 @@ app.get("/api/admin/users", async (req, res) => {
   }
 });
 
-// ===== LOTTERY MANAGEMENT =====
-const lotteriesCollection = firestore.collection("lotteries");
+// GET /api/admin/reconciliation - Unmatched vault transfers and last reconciler run
+app.get("/api/admin/reconciliation", requireAdmin("operator"), async (req, res) => {
+  try {
+    const includeResolved = req.query.include_resolved === "true";
+    let query = reconciliationCollection;
+    if (!includeResolved) {
+      query = query.where("resolved", "==", false);
+    }
+
+    const snapshot = await query.orderBy("flagged_at", "desc").limit(100).get();
+    const flagged = [];
+    snapshot.forEach(doc => flagged.push({ id: doc.id, ...doc.data() }));
+
+    const lastRunDoc = await metaCollection.doc("reconcile_last_run").get();
+
+    res.json({
+      success: true,
+      last_run: lastRunDoc.exists ? lastRunDoc.data() : null,
+      flagged
+    });
+  } catch (e) {
+    console.error("/api/admin/reconciliation error:", e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+// POST /api/admin/reconciliation/run - Trigger a reconciliation pass now
+app.post("/api/admin/reconciliation/run", requireAdmin("operator"), async (req, res) => {
+  const summary = await runSettlementReconciliation();
+  if (!summary) {
+    return res.status(500).json({ success: false, message: "Reconciliation failed or vault not configured" });
+  }
+  res.json({ success: true, ...summary });
+});
+
+// GET /api/admin/audit - Recent admin actions
+app.get("/api/admin/audit", requireAdmin("operator"), async (req, res) => {
+  try {
+    const snapshot = await adminAuditCollection.orderBy("created_at", "desc").limit(100).get();
+    const entries = [];
+    snapshot.forEach(doc => entries.push({ id: doc.id, ...doc.data() }));
+    res.json({ success: true, entries });
+  } catch (e) {
+    console.error("/api/admin/audit error:", e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+// ===== AMOUNT MIGRATION =====
+// Converts records written when amounts were floats to integer base units:
+// payments get amount_raw and a decimal-string amount, user totals move into
+// the *_raw counters, deposits and lottery prizes get exact amounts. Every
+// step checks whether the document still needs it, so the migration can be
+// re-run (or interrupted) safely.
+const MIGRATION_PAGE_SIZE = 300;
+
+// Visit every document of a collection in document-id order
+async function forEachDocument(collection, visit) {
+  let last = null;
+  for (;;) {
+    let query = collection.orderBy(admin.firestore.FieldPath.documentId()).limit(MIGRATION_PAGE_SIZE);
+    if (last) query = query.startAfter(last);
+    const page = await query.get();
+    for (const doc of page.docs) await visit(doc);
+    if (page.size < MIGRATION_PAGE_SIZE) return;
+    last = page.docs[page.docs.length - 1];
+  }
+}
+
+async function migratePaymentAmounts(doc, dryRun) {
+  const payment = doc.data();
+  if (Number.isSafeInteger(payment.amount_raw)) return false;
+
+  const token = TOKENS.forRecord(payment);
+  if (!token) return false;
+  if (!dryRun) {
+    const rawAmount = toBaseUnits(payment.amount, token.decimals);
+    await doc.ref.update({
+      amount: fromBaseUnits(rawAmount, token.decimals),
+      amount_raw: rawAmount,
+      decimals: token.decimals
+    });
+  }
+  return true;
+}
+
+// Fold float totals into their _raw counters. Runs in a transaction because
+// claims increment the counters concurrently.
+async function migrateUserAmounts(doc, dryRun) {
+  return firestore.runTransaction(async (tx) => {
+    const fresh = await tx.get(doc.ref);
+    const user = fresh.data() || {};
+    const update = {};
+
+    for (const field of ["total_sent", "total_claimed", "total_deposited"]) {
+      if (typeof user[field] !== "number") continue;
+      update[`${field}_raw`] = (user[`${field}_raw`] || 0) + toBaseUnits(user[field], USDC.decimals);
+      update[field] = admin.firestore.FieldValue.delete();
+    }
+
+    for (const [symbol, totals] of Object.entries(user.token_totals || {})) {
+      const token = TOKENS.get(symbol);
+      if (!token) continue;
+      for (const field of ["sent", "claimed"]) {
+        if (typeof totals[field] !== "number") continue;
+        update[`token_totals.${symbol}.${field}_raw`] = (totals[`${field}_raw`] || 0) + toBaseUnits(totals[field], token.decimals);
+        update[`token_totals.${symbol}.${field}`] = admin.firestore.FieldValue.delete();
+      }
+    }
+
+    if (Object.keys(update).length === 0) return false;
+    if (!dryRun) tx.update(doc.ref, update);
+    return true;
+  });
+}
+
+async function migrateDepositAmounts(doc, dryRun) {
+  const deposit = doc.data();
+  if (typeof deposit.amount !== "number") return false;
+
+  if (!dryRun) {
+    await doc.ref.update({ amount: fromBaseUnits(deposit.raw_amount, USDC.decimals) });
+  }
+  return true;
+}
+
+// Prize tiers and drawn winners get amount_raw; winners are rewritten in a
+// transaction since prize claims update the same array
+async function migrateLotteryAmounts(doc, dryRun) {
+  return firestore.runTransaction(async (tx) => {
+    const fresh = await tx.get(doc.ref);
+    const lottery = fresh.data() || {};
+    const update = {};
+
+    const tiersMigrated = typeof lottery.prizeAmount === "string" &&
+      (!lottery.prizeTiers || lottery.prizeTiers.every(t => Number.isSafeInteger(t.amount_raw)));
+    if (!tiersMigrated) {
+      const prizes = normalizePrizeTiers(lottery.prizeTiers, lottery.prizeAmount);
+      if (prizes.error) {
+        console.warn(`⚠️ Lottery ${doc.id} prize amounts not migrated: ${prizes.error}`);
+      } else {
+        update.prizeAmount = prizes.total;
+        if (lottery.prizeTiers) update.prizeTiers = prizes.tiers;
+      }
+    }
+
+    if (Array.isArray(lottery.winners) && lottery.winners.some(w => !Number.isSafeInteger(w.amount_raw))) {
+      update.winners = lottery.winners.map(w => ({
+        ...w,
+        amount: fromBaseUnits(prizeRawAmount(w), USDC.decimals),
+        amount_raw: prizeRawAmount(w)
+      }));
+    }
+
+    if (Object.keys(update).length === 0) return false;
+    if (!dryRun) tx.update(doc.ref, update);
+    return true;
+  });
+}
+
+// POST /api/admin/migrations/amounts - Convert stored float amounts to base units
+// Body: { dry_run? } - a dry run only counts the documents that would change
+app.post("/api/admin/migrations/amounts", requireAdmin("treasurer"), async (req, res) => {
+  const dryRun = req.body?.dry_run === true;
+  const summary = { dry_run: dryRun, payments: 0, users: 0, deposits: 0, lotteries: 0 };
+
+  try {
+    const steps = [
+      ["payments", paymentsCollection, migratePaymentAmounts],
+      ["users", usersCollection, migrateUserAmounts],
+      ["deposits", depositsCollection, migrateDepositAmounts],
+      ["lotteries", lotteriesCollection, migrateLotteryAmounts]
+    ];
+
+    for (const [name, collection, migrate] of steps) {
+      await forEachDocument(collection, async (doc) => {
+        if (await migrate(doc, dryRun)) summary[name]++;
+      });
+    }
+
+    if (!dryRun) {
+      await metaCollection.doc("amount_migration_last_run").set({
+        value: new Date().toISOString(),
+        by: req.admin.id,
+        ...summary
+      });
+    }
+
+    console.log(`🔢 Amount migration ${dryRun ? "dry run" : "complete"}: ${JSON.stringify(summary)}`);
+    res.json({ success: true, ...summary });
+  } catch (e) {
+    console.error("/api/admin/migrations/amounts error:", e);
+    res.status(500).json({ success: false, message: e.message, ...summary });
+  }
+});
+
+// ===== X USER IDS =====
+// Users and payments are keyed by handle but bound to the X user ID, which
+// survives renames. When a handle moves, the user document (and the handle
+// on their payments) moves with its owner; reconcileXHandle does that at
+// login and the migration below for everyone at once.
+const DELETED_ACCOUNT_PREFIX = "x:"; // records of deleted accounts move to "x:<id>"
+
+const USER_TOTAL_FIELDS = ["total_sent", "total_claimed", "total_deposited"];
+const USER_SETTING_MAPS = ["delegations", "linked_identities", "confirmation_thresholds"];
+
+// User document for a handle taking in `moving`'s records when `target`
+// already exists there: the moving owner's fields and settings win, the
+// target only fills in what they lack, and the counters add up.
+function mergeMovedUser(moving, target) {
+  const merged = { ...target, ...moving };
+
+  for (const field of USER_TOTAL_FIELDS) {
+    merged[`${field}_raw`] = userTotalRaw(moving, field) + userTotalRaw(target, field);
+    delete merged[field];
+  }
+
+  const tokenTotals = {};
+  for (const totals of [moving.token_totals, target.token_totals]) {
+    for (const [symbol, fields] of Object.entries(totals || {})) {
+      const token = TOKENS.get(symbol);
+      const sum = tokenTotals[symbol] = tokenTotals[symbol] || {};
+      for (const [field, value] of Object.entries(fields || {})) {
+        const key = field.endsWith("_raw") ? field : `${field}_raw`;
+        const raw = field.endsWith("_raw") ? value || 0 : toBaseUnits(value || 0, token?.decimals ?? USDC.decimals);
+        sum[key] = (sum[key] || 0) + raw;
+      }
+    }
+  }
+  merged.token_totals = tokenTotals;
+
+  for (const field of USER_SETTING_MAPS) {
+    merged[field] = { ...(target[field] || {}), ...(moving[field] || {}) };
+  }
+
+  return merged;
+}
+
+// Move a user document from one handle to another and point their payments at
+// it. Payments bound to a different X account are left alone.
+// Returns { moved, payments } or { error } if the target belongs to someone else.
+async function moveUserHandle(fromHandle, toHandle, xUserId) {
+  const fromRef = usersCollection.doc(fromHandle);
+  const toRef = usersCollection.doc(toHandle);
+
+  const result = await firestore.runTransaction(async (tx) => {
+    const [fromDoc, toDoc] = await Promise.all([tx.get(fromRef), tx.get(toRef)]);
+    if (!fromDoc.exists) return { moved: false };
+
+    const target = toDoc.exists ? toDoc.data() : {};
+    if (target.x_user_id && target.x_user_id !== xUserId) {
+      return { error: `@${toHandle} belongs to another X account` };
+    }
+
+    tx.set(toRef, {
+      ...(toDoc.exists ? mergeMovedUser(fromDoc.data(), target) : fromDoc.data()),
+      x_username: toHandle,
+      x_user_id: xUserId,
+      previous_handles: admin.firestore.FieldValue.arrayUnion(fromHandle),
+      updated_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+    tx.delete(fromRef);
+    return { moved: true };
+  });
+  if (!result.moved) return { ...result, payments: 0 };
+
+  let payments = 0;
+  for (const [handleField, idField, fields] of [
+    ["sender_username", "sender_x_user_id", ["sender", "sender_username"]],
+    ["recipient_username", "recipient_x_user_id", ["recipient", "recipient_username"]]
+  ]) {
+    const snapshot = await paymentsCollection.where(handleField, "==", fromHandle).get();
+    const docs = snapshot.docs.filter(doc => !doc.data()[idField] || doc.data()[idField] === xUserId);
+
+    for (let i = 0; i < docs.length; i += 400) {
+      const batch = firestore.batch();
+      for (const doc of docs.slice(i, i + 400)) {
+        batch.update(doc.ref, {
+          ...Object.fromEntries(fields.map(f => [f, toHandle])),
+          [idField]: xUserId
+        });
+      }
+      await batch.commit();
+    }
+    payments += docs.length;
+  }
+
+  console.log(`🔀 Moved @${fromHandle} → @${toHandle} (X user ${xUserId}, ${payments} payments)`);
+  return { moved: true, payments };
+}
+
+// Before `handle` is bound to `xUserId` at login: move a previous owner's
+// records to their current handle if the handle changed hands, and move this
+// account's records here if they renamed. Returns { status, error } if that
+// can't be done right now.
+async function reconcileXHandle(handle, xUserId) {
+  const current = await usersCollection.doc(handle).get();
+  const ownerId = current.exists ? current.data().x_user_id : null;
+
+  if (ownerId && ownerId !== xUserId) {
+    const owners = await xUsers.resolveIds([ownerId]);
+    if (!owners.has(ownerId)) {
+      return { status: 503, error: "Could not check this handle's previous owner with X. Try again shortly." };
+    }
+    const ownerHandle = owners.get(ownerId) || `${DELETED_ACCOUNT_PREFIX}${ownerId}`;
+    if (ownerHandle === handle) {
+      return { status: 409, error: "X reports this handle under another account" };
+    }
+    const moved = await moveUserHandle(handle, ownerHandle, ownerId);
+    if (moved.error) return { status: 409, error: moved.error };
+  }
+
+  const renamed = await usersCollection.where("x_user_id", "==", xUserId).get();
+  for (const doc of renamed.docs) {
+    if (doc.id === handle) continue;
+    const moved = await moveUserHandle(doc.id, handle, xUserId);
+    if (moved.error) return { status: 409, error: moved.error };
+  }
+
+  return {};
+}
+
+// Resolve X user IDs for users stored without one, move users whose ID now
+// has another handle, then copy the IDs onto payments. Lookups stop at the
+// X rate limit; re-run to finish (every step skips what is already done).
+// A looked-up ID is whoever owns the handle today, not necessarily who it was
+// paid to, so unsettled payments are only bound to IDs their owner proved at
+// login; the rest stay matched by handle (counted as payments_unverified).
+async function migrateXUserIds(dryRun) {
+  const summary = {
+    users_resolved: 0,
+    users_not_found: 0,
+    users_renamed: 0,
+    conflicts: [],
+    payments: 0,
+    payments_unverified: 0,
+    pending_lookups: 0
+  };
+  const unsettled = [...CLOSABLE_STATUSES, "claiming"];
+
+  const users = [];
+  await forEachDocument(usersCollection, async (doc) => {
+    if (doc.id.startsWith(DELETED_ACCOUNT_PREFIX)) return;
+    users.push({ handle: doc.id, xUserId: doc.data().x_user_id || null, verified: !!doc.data().x_user_id_verified_at });
+  });
+
+  // handle → X user ID, for the payments step, and the handles whose ID was verified at login
+  const ids = new Map(users.filter(u => u.xUserId).map(u => [u.handle, u.xUserId]));
+  const verified = new Set(users.filter(u => u.xUserId && u.verified).map(u => u.handle));
+
+  const unresolved = users.filter(u => !u.xUserId).map(u => u.handle);
+  const resolved = await xUsers.resolveHandles(unresolved);
+  for (const handle of unresolved) {
+    if (!resolved.has(handle)) {
+      summary.pending_lookups++;
+    } else if (resolved.get(handle) === null) {
+      summary.users_not_found++;
+    } else {
+      summary.users_resolved++;
+      ids.set(handle, resolved.get(handle));
+      if (!dryRun) {
+        await usersCollection.doc(handle).update({ x_user_id: resolved.get(handle), updated_at: admin.firestore.FieldValue.serverTimestamp() });
+      }
+    }
+  }
+
+  const bound = users.filter(u => u.xUserId);
+  const current = await xUsers.resolveIds(bound.map(u => u.xUserId));
+  summary.pending_lookups += bound.filter(u => !current.has(u.xUserId)).length;
+  for (const { handle, xUserId } of bound) {
+    const currentHandle = current.get(xUserId);
+    if (currentHandle === undefined || currentHandle === handle) continue;
+
+    const target = currentHandle || `${DELETED_ACCOUNT_PREFIX}${xUserId}`;
+    summary.users_renamed++;
+    if (dryRun) continue;
+    const moved = await moveUserHandle(handle, target, xUserId);
+    if (moved.error) {
+      summary.conflicts.push({ handle, x_user_id: xUserId, error: moved.error });
+    } else {
+      ids.delete(handle);
+      ids.set(target, xUserId);
+      if (verified.delete(handle)) verified.add(target);
+    }
+  }
+
+  await forEachDocument(paymentsCollection, async (doc) => {
+    const payment = doc.data();
+    const settled = !unsettled.includes(payment.status);
+    const update = {};
+    let unverified = false;
+    for (const [handleField, idField] of [["sender_username", "sender_x_user_id"], ["recipient_username", "recipient_x_user_id"]]) {
+      const handle = payment[handleField];
+      if (payment[idField] || !ids.has(handle)) continue;
+      if (settled || verified.has(handle)) {
+        update[idField] = ids.get(handle);
+      } else {
+        unverified = true;
+      }
+    }
+    if (unverified) summary.payments_unverified++;
+    if (Object.keys(update).length === 0) return;
+
+    summary.payments++;
+    if (!dryRun) await doc.ref.update(update);
+  });
+
+  return summary;
+}
+
+// POST /api/admin/migrations/x-user-ids - Bind existing users and payments to X user IDs
+// Body: { dry_run }. Safe to re-run; pending_lookups > 0 means X's rate limit cut it short.
+app.post("/api/admin/migrations/x-user-ids", requireAdmin("treasurer"), async (req, res) => {
+  const dryRun = req.body?.dry_run === true;
+
+  try {
+    const summary = { dry_run: dryRun, ...await migrateXUserIds(dryRun) };
+
+    if (!dryRun) {
+      await metaCollection.doc("x_user_id_migration_last_run").set({
+        value: new Date().toISOString(),
+        by: req.admin.id,
+        ...summary
+      });
+    }
+
+    console.log(`🆔 X user ID migration ${dryRun ? "dry run" : "complete"}: ${JSON.stringify(summary)}`);
+    res.json({ success: true, ...summary });
+  } catch (e) {
+    console.error("/api/admin/migrations/x-user-ids error:", e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+// ===== LOTTERY MANAGEMENT =====
+const lotteriesCollection = firestore.collection("lotteries");
+const lotterySecretsCollection = firestore.collection("lottery_secrets");
+const DRAW_SLOT_DELAY = 10; // entropy comes from a block at least this many slots after the draw starts
+const DRAW_ENTROPY_TIMEOUT_MS = 90 * 1000;
+const DRAW_LEASE_MS = 5 * 60 * 1000; // a draw that stopped midway can be resumed after this
+const LOTTERY_SCHEDULER_INTERVAL_MS = 60 * 1000; // 1 minute
+
+// Get active or recent lottery
+app.get("/api/lottery/active", async (req, res) => {
+  try {
+    // Get recent lotteries sorted by createdAt (no composite index needed)
+    const snapshot = await lotteriesCollection
+      .orderBy("createdAt", "desc")
+      .limit(5)
+      .get();
+
+    if (snapshot.empty) {
+      return res.json({ success: true, lottery: null });
+    }
+
+    // Find active lottery first, otherwise return most recent
+    let activeLottery = null;
+    let mostRecent = null;
+
+    snapshot.forEach(doc => {
+      const data = { id: doc.id, ...doc.data() };
+      if (!mostRecent) mostRecent = data;
+      if (data.status === "active" && !activeLottery) {
+        activeLottery = data;
+      }
+    });
+
+    const lottery = activeLottery || mostRecent;
+    res.json({ success: true, lottery });
+  } catch (e) {
+    console.error("/api/lottery/active error:", e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+// Get lottery history (completed/claimed lotteries)
+app.get("/api/lottery/history", async (req, res) => {
+  try {
+    const snapshot = await lotteriesCollection
+      .orderBy("createdAt", "desc")
+      .limit(20)
+      .get();
+
+    const history = [];
+    snapshot.forEach(doc => {
+      const data = { id: doc.id, ...doc.data() };
+      // Only include completed or claimed lotteries with winners
+      if ((data.status === "completed" || data.status === "claimed") && data.winner) {
+        const { tiers } = normalizePrizeTiers(data.prizeTiers, data.prizeAmount);
+        history.push({ ...data, prizeTiers: tiers, winners: getLotteryWinners(data) });
+      }
+    });
+
+    res.json({ success: true, history });
+  } catch (e) {
+    console.error("/api/lottery/history error:", e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+const RECURRENCE_PERIOD_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+function toMillis(value) {
+  if (!value) return null;
+  if (value.toMillis) return value.toMillis();
+  const ms = new Date(value).getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+// USDC base units of a prize amount: a decimal string or number from the
+// request, or a float stored before amounts were exact. null if invalid.
+function parsePrizeAmount(value) {
+  const raw = typeof value === "number"
+    ? toBaseUnits(value, USDC.decimals)
+    : parseDecimalAmount(value, USDC.decimals);
+  return raw > 0 && raw <= USDC.maxRaw ? raw : null;
+}
+
+// A prize's amount in USDC base units
+function prizeRawAmount(prize) {
+  if (Number.isSafeInteger(prize.amount_raw)) return prize.amount_raw;
+  return toBaseUnits(prize.amount || 0, USDC.decimals);
+}
+
+// Validate prize tiers ([{ amount, count, label? }]). A plain prizeAmount is a single 1× tier.
+// Amounts are USDC decimal strings with amount_raw alongside.
+// Returns { tiers, total, totalRaw } or { error }.
+function normalizePrizeTiers(prizeTiers, prizeAmount) {
+  if (!prizeTiers) {
+    const amountRaw = parsePrizeAmount(prizeAmount ?? "50");
+    if (!amountRaw) {
+      return { error: `prizeAmount must be a positive USDC amount with at most ${USDC.decimals} decimals` };
+    }
+    const amount = fromBaseUnits(amountRaw, USDC.decimals);
+    return { tiers: [{ label: "Grand prize", amount, amount_raw: amountRaw, count: 1 }], total: amount, totalRaw: amountRaw };
+  }
+
+  if (!Array.isArray(prizeTiers) || prizeTiers.length === 0) {
+    return { error: "prizeTiers must be a non-empty array" };
+  }
+
+  const tiers = [];
+  for (const [i, tier] of prizeTiers.entries()) {
+    const amountRaw = Number.isSafeInteger(tier.amount_raw) ? tier.amount_raw : parsePrizeAmount(tier.amount);
+    const count = Number(tier.count ?? 1);
+    if (!amountRaw || !Number.isInteger(count) || count < 1) {
+      return { error: `prizeTiers[${i}] needs a positive amount (at most ${USDC.decimals} decimals) and integer count` };
+    }
+    tiers.push({ label: tier.label || `Tier ${i + 1}`, amount: fromBaseUnits(amountRaw, USDC.decimals), amount_raw: amountRaw, count });
+  }
+
+  const totalRaw = tiers.reduce((sum, t) => sum + t.amount_raw * t.count, 0);
+  if (!Number.isSafeInteger(totalRaw)) {
+    return { error: "Prize total is too large" };
+  }
+  return { tiers, total: fromBaseUnits(totalRaw, USDC.decimals), totalRaw };
+}
+
+// Winners of a drawn lottery. Lotteries drawn before prize tiers only have `winner`.
+function getLotteryWinners(lottery) {
+  if (Array.isArray(lottery.winners)) return lottery.winners;
+  if (!lottery.winner) return [];
+
+  return [{
+    ...lottery.winner,
+    tier: 0,
+    tierLabel: "Grand prize",
+    amount: lottery.prizeAmount || 0,
+    amount_raw: parsePrizeAmount(lottery.prizeAmount || 0) || 0,
+    claimStatus: lottery.status === "claimed" ? "claimed" : "unclaimed",
+    claimTxSignature: lottery.claimTxSignature || null
+  }];
+}
+
+// Firestore update for a changed winners array; marks the lottery claimed once every prize is paid
+function lotteryWinnersUpdate(winners) {
+  const update = {
+    winners,
+    claimTxSignatures: winners.map(w => w.claimTxSignature).filter(Boolean)
+  };
+
+  if (winners.length > 0 && winners.every(w => w.claimStatus === "claimed")) {
+    update.status = "claimed";
+    update.claimedAt = admin.firestore.FieldValue.serverTimestamp();
+    if (winners.length === 1) update.claimTxSignature = winners[0].claimTxSignature;
+  }
+
+  return update;
+}
+
+async function createLottery({ prizeAmount, prizeTiers = null, startTime = null, endTime, recurrence = null, previousLotteryId = null }) {
+  const now = new Date();
+  const lotteryId = `lottery_${now.getFullYear()}_${now.getMonth() + 1}_${now.getDate()}_${Date.now()}`;
+
+  const newLottery = {
+    id: lotteryId,
+    prizeAmount,
+    prizeTiers,
+    startTime,
+    endTime,
+    recurrence,
+    previousLotteryId,
+    status: "draft",
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    activatedAt: null,
+    winner: null,
+    winners: [],
+    winnerWallets: [],
+    totalEntries: 0,
+    participantCount: 0,
+    claimedAt: null,
+    claimTxSignature: null,
+    claimTxSignatures: []
+  };
+
+  await lotteriesCollection.doc(lotteryId).set(newLottery);
+  console.log(`🎰 Lottery created: ${lotteryId} - $${prizeAmount}${recurrence ? ` (${recurrence})` : ""}`);
+  return newLottery;
+}
+
+// Create new lottery (admin only)
+// startTime is optional (the scheduler activates the draft then); recurrence is "daily" or "weekly".
+// prizeTiers (e.g. [{ amount: 50, count: 1 }, { amount: 10, count: 3 }]) replaces prizeAmount.
+app.post("/api/lottery/create", requireAdmin("operator"), async (req, res) => {
+  const { prizeAmount, prizeTiers, startTime, endTime, recurrence } = req.body;
+
+  if ((!prizeAmount && !prizeTiers) || !endTime) {
+    return res.status(400).json({ success: false, message: "Missing prizeAmount/prizeTiers or endTime" });
+  }
+
+  const prizes = normalizePrizeTiers(prizeTiers, prizeAmount);
+  if (prizes.error) {
+    return res.status(400).json({ success: false, message: prizes.error });
+  }
+
+  const endMs = toMillis(endTime);
+  const startMs = startTime ? toMillis(startTime) : null;
+  if (!endMs || (startTime && !startMs)) {
+    return res.status(400).json({ success: false, message: "startTime and endTime must be valid dates" });
+  }
+  if (startMs && startMs >= endMs) {
+    return res.status(400).json({ success: false, message: "startTime must be before endTime" });
+  }
+  if (recurrence && !RECURRENCE_PERIOD_MS[recurrence]) {
+    return res.status(400).json({ success: false, message: "recurrence must be daily or weekly" });
+  }
+
+  try {
+    const lottery = await createLottery({
+      prizeAmount: prizes.total,
+      prizeTiers: prizes.tiers,
+      startTime: startMs ? new Date(startMs).toISOString() : null,
+      endTime: new Date(endMs).toISOString(),
+      recurrence: recurrence || null
+    });
+
+    res.json({ success: true, lotteryId: lottery.id, lottery });
+  } catch (e) {
+    console.error("/api/lottery/create error:", e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+// Activate a draft and commit to its draw seed.
+// Returns { lottery } or { status, message }.
+async function activateLottery(lotteryId) {
+  const lotteryRef = lotteriesCollection.doc(lotteryId);
+  const { seed, seedHash } = createSeedCommitment();
+
+  const activationError = await firestore.runTransaction(async (tx) => {
+    const doc = await tx.get(lotteryRef);
+    if (!doc.exists) return { status: 404, message: "Lottery not found" };
+
+    const lottery = doc.data();
+    if (lottery.status !== "draft" && !(lottery.status === "active" && !lottery.seedHash)) {
+      return { status: 400, message: `Lottery cannot be activated (status: ${lottery.status})` };
+    }
+
+    // The seed stays secret until the draw; only its hash is public
+    tx.set(lotterySecretsCollection.doc(lotteryId), {
+      seed,
+      created_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+    tx.update(lotteryRef, {
+      status: "active",
+      seedHash,
+      activatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return null;
+  });
+
+  if (activationError) return activationError;
+
+  const doc = await lotteryRef.get();
+  console.log(`🎰 Lottery activated: ${lotteryId} (seed commitment ${seedHash.slice(0, 16)}...)`);
+  return { lottery: { id: doc.id, ...doc.data() } };
+}
+
+// Activate lottery (admin only) - commits to the draw seed
+app.post("/api/lottery/activate", requireAdmin("operator"), async (req, res) => {
+  const { lotteryId } = req.body;
+
+  if (!lotteryId) {
+    return res.status(400).json({ success: false, message: "Missing lotteryId" });
+  }
+
+  try {
+    const result = await activateLottery(lotteryId);
+    if (!result.lottery) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, lottery: result.lottery });
+  } catch (e) {
+    console.error("/api/lottery/activate error:", e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+// Wait for `targetSlot` (one that didn't exist when the draw started) to
+// finalize and return its blockhash (skipped slots roll forward to the next
+// produced block, which may take a few polls to finalize if the finalized tip
+// sits on skips)
+async function getFutureBlockhash(targetSlot) {
+  const deadline = Date.now() + DRAW_ENTROPY_TIMEOUT_MS;
+
+  for (;;) {
+    const finalized = await solanaConnection.getSlot("finalized");
+    if (finalized >= targetSlot) {
+      const [slot] = await solanaConnection.getBlocks(targetSlot, Math.min(finalized, targetSlot + 100), "finalized");
+      const block = slot === undefined ? null : await solanaConnection.getBlock(slot, {
+        commitment: "finalized",
+        maxSupportedTransactionVersion: 0,
+        transactionDetails: "none",
+        rewards: false
+      });
+      if (block) return { slot, blockhash: block.blockhash };
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for a finalized block at or after slot ${targetSlot}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 2000));
+  }
+}
+
+// Entries come from USDC payments the user sent that were completed inside the
+// lottery window: 1 entry plus 1 per $10 sent
+async function getLotteryEntries(windowStartMs, windowEndMs) {
+  const completed = await paymentsCollection
+    .where("status", "==", "completed")
+    .where("claimed_at", ">=", admin.firestore.Timestamp.fromMillis(windowStartMs))
+    .where("claimed_at", "<=", admin.firestore.Timestamp.fromMillis(windowEndMs))
+    .get();
+
+  // Base units sent per user
+  const sentByUser = {};
+  completed.forEach(doc => {
+    const payment = doc.data();
+    if (TOKENS.forRecord(payment) !== USDC) return;
+    sentByUser[payment.sender_username] = (sentByUser[payment.sender_username] || 0) + paymentRawAmount(payment);
+  });
+
+  const entries = [];
+  for (const [username, totalSent] of Object.entries(sentByUser)) {
+    const userDoc = await usersCollection.doc(username).get();
+    const wallet = userDoc.exists ? userDoc.data().wallet_address : null;
+    if (totalSent > 0 && wallet) {
+      entries.push({
+        walletAddress: wallet,
+        username,
+        entries: Math.floor(totalSent / (10 * 10 ** USDC.decimals)) + 1
+      });
+    }
+  }
+
+  return entries;
+}
+
+// Draw an active lottery: reveal the seed and mix in a future blockhash.
+// The entry snapshot and the entropy slot are saved with the "drawing" status,
+// before that block exists, so a draw that fails afterwards resumes with them
+// (route or scheduler) and can only ever produce one result.
+// Returns { winner, totalEntries, participantCount, proof } or { status, message }.
+async function drawLottery(lotteryId) {
+  const lotteryRef = lotteriesCollection.doc(lotteryId);
+  const current = await lotteryRef.get();
+  if (!current.exists) return { status: 404, message: "Lottery not found" };
+
+  // Fix the entries before the entropy block exists
+  let fixed = null;
+  if (current.data().status === "active") {
+    const windowStartMs = toMillis(current.data().startTime) || toMillis(current.data().activatedAt) || 0;
+    const windowEndMs = Math.min(toMillis(current.data().endTime) || Date.now(), Date.now());
+    const eligibleUsers = await getLotteryEntries(windowStartMs, windowEndMs);
+
+    if (eligibleUsers.length === 0) {
+      return { status: 400, message: "No eligible users" };
+    }
+
+    const entrySnapshot = normalizeEntries(eligibleUsers);
+    fixed = {
+      entrySnapshot,
+      snapshotHash: hashEntrySnapshot(entrySnapshot),
+      drawTargetSlot: await solanaConnection.getSlot("confirmed") + DRAW_SLOT_DELAY,
+      entryWindow: {
+        start: new Date(windowStartMs).toISOString(),
+        end: new Date(windowEndMs).toISOString()
+      }
+    };
+  }
+
+  // Lock the lottery so concurrent draws can't race
+  let lottery = null;
+  const lockError = await firestore.runTransaction(async (tx) => {
+    const doc = await tx.get(lotteryRef);
+    if (!doc.exists) return { status: 404, message: "Lottery not found" };
+
+    lottery = doc.data();
+    const lease = admin.firestore.Timestamp.fromMillis(Date.now() + DRAW_LEASE_MS);
+
+    if (lottery.status === "drawing") {
+      if (!lottery.drawTargetSlot || !lottery.snapshotHash) {
+        return { status: 409, message: "Lottery is drawing without saved entries; it needs manual review" };
+      }
+      if ((toMillis(lottery.drawLeaseExpiresAt) || 0) > Date.now()) {
+        return { status: 409, message: "A draw for this lottery is already in progress" };
+      }
+      tx.update(lotteryRef, { drawLeaseExpiresAt: lease });
+      return null;
+    }
+
+    if (lottery.status !== "active" || !fixed) {
+      return { status: 400, message: `Lottery is not active (status: ${lottery.status})` };
+    }
+    if (!lottery.seedHash) {
+      return { status: 400, message: "Lottery has no seed commitment. Activate it again before drawing." };
+    }
+
+    tx.update(lotteryRef, { status: "drawing", ...fixed, drawLeaseExpiresAt: lease });
+    lottery = { ...lottery, ...fixed };
+    return null;
+  });
+
+  if (lockError) return lockError;
+
+  if (!fixed) console.log(`🔁 Resuming draw of lottery ${lotteryId} at slot ${lottery.drawTargetSlot}`);
+
+  // From here on the lottery stays "drawing" on failure, and a retry resumes
+  const { entrySnapshot, snapshotHash, drawTargetSlot } = lottery;
+  const secretDoc = await lotterySecretsCollection.doc(lotteryId).get();
+  const seed = secretDoc.data()?.seed;
+  if (!seed) {
+    throw new Error("Seed for this lottery is missing");
+  }
+
+  const { slot, blockhash } = await getFutureBlockhash(drawTargetSlot);
+  const randomness = drawRandomness(seed, blockhash, snapshotHash);
+
+  // One draw per prize, without replacement, in tier order
+  const { tiers } = normalizePrizeTiers(lottery.prizeTiers, lottery.prizeAmount);
+  const prizes = tiers.flatMap((tier, tierIndex) => Array.from({ length: tier.count }, () => ({ tier: tierIndex, ...tier })));
+  const picks = pickWinners(entrySnapshot, randomness, prizes.length);
+
+  const winners = picks.map((pick, i) => ({
+    username: pick.username,
+    walletAddress: pick.walletAddress,
+    entries: pick.entries,
+    ticket: pick.ticket,
+    tier: prizes[i].tier,
+    tierLabel: prizes[i].label,
+    amount: prizes[i].amount,
+    amount_raw: prizes[i].amount_raw,
+    claimStatus: "unclaimed",
+    claimTxSignature: null,
+    claimedAt: null
+  }));
+
+  // Fewer entrants than prizes: the prizes left over are recorded, not dropped
+  const unawardedPrizes = [];
+  for (const prize of prizes.slice(picks.length)) {
+    const last = unawardedPrizes[unawardedPrizes.length - 1];
+    if (last?.tier === prize.tier) {
+      last.count++;
+    } else {
+      unawardedPrizes.push({ tier: prize.tier, tierLabel: prize.label, amount: prize.amount, amount_raw: prize.amount_raw, count: 1 });
+    }
+  }
+
+  const winner = winners[0];
+  const totalEntries = entrySnapshot.reduce((sum, e) => sum + e.entries, 0);
+
+  // Update lottery
+  await lotteryRef.update({
+    status: "completed",
+    winner: {
+      username: winner.username,
+      walletAddress: winner.walletAddress,
+      entries: winner.entries
+    },
+    winners,
+    winnerWallets: winners.map(w => w.walletAddress),
+    totalEntries,
+    participantCount: entrySnapshot.length,
+    seed,
+    entropySlot: slot,
+    entropyBlockhash: blockhash,
+    randomness,
+    winningTicket: winner.ticket,
+    unawardedPrizes,
+    drawLeaseExpiresAt: null,
+    completedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  for (const w of winners) {
+    console.log(`🎉 Lottery winner (${w.tierLabel}, $${w.amount}): @${w.username} (${w.walletAddress}) - ticket ${w.ticket}`);
+  }
+  for (const p of unawardedPrizes) {
+    console.warn(`⚠️ Lottery ${lotteryId}: ${p.count}× ${p.tierLabel} ($${p.amount}) unawarded - not enough entrants`);
+  }
+
+  return {
+    winner,
+    winners,
+    unawardedPrizes,
+    totalEntries,
+    participantCount: entrySnapshot.length,
+    proof: {
+      seed,
+      snapshotHash,
+      entropySlot: slot,
+      entropyBlockhash: blockhash,
+      randomness
+    }
+  };
+}
+
+// Draw lottery winner (admin only) - can be used before endTime to draw early
+app.post("/api/lottery/draw", requireAdmin("operator"), async (req, res) => {
+  const { lotteryId } = req.body;
+
+  if (!lotteryId) {
+    return res.status(400).json({ success: false, message: "Missing lotteryId" });
+  }
+
+  try {
+    const result = await drawLottery(lotteryId);
+    if (!result.winner) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (e) {
+    console.error("/api/lottery/draw error:", e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+// GET /api/lottery/:lotteryId/verify - Recompute a draw from public data
+app.get("/api/lottery/:lotteryId/verify", async (req, res) => {
+  try {
+    const doc = await lotteriesCollection.doc(req.params.lotteryId).get();
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, message: "Lottery not found" });
+    }
+
+    const lottery = doc.data();
+    if (!lottery.seed || !lottery.entropySlot) {
+      return res.status(400).json({ success: false, message: "Lottery has not been drawn with a verifiable seed" });
+    }
+
+    // Fetch the entropy block from chain rather than trusting the stored hash
+    const block = await solanaConnection.getBlock(lottery.entropySlot, {
+      commitment: "finalized",
+      maxSupportedTransactionVersion: 0,
+      transactionDetails: "none",
+      rewards: false
+    });
+    const chainBlockhash = block?.blockhash || null;
+
+    const result = verifyDraw({
+      seed: lottery.seed,
+      seedHash: lottery.seedHash,
+      blockhash: chainBlockhash,
+      entrySnapshot: lottery.entrySnapshot,
+      snapshotHash: lottery.snapshotHash,
+      winnerWallets: getLotteryWinners(lottery).map(w => w.walletAddress)
+    });
+    result.checks.blockhash_matches_chain = chainBlockhash === lottery.entropyBlockhash;
+    result.valid = result.valid && result.checks.blockhash_matches_chain;
+
+    res.json({
+      success: true,
+      lotteryId: doc.id,
+      ...result,
+      inputs: {
+        seed: lottery.seed,
+        seedHash: lottery.seedHash,
+        snapshotHash: lottery.snapshotHash,
+        entropySlot: lottery.entropySlot,
+        entropyBlockhash: chainBlockhash,
+        formula: "r0 = sha256(seed:blockhash:snapshotHash), ri = sha256(r0:i); winner i holds ticket ri mod remaining entries, tickets assigned in username order"
+      }
+    });
+  } catch (e) {
+    console.error("/api/lottery/verify error:", e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+// Queue the next lottery in a recurring series, starting when this one ended
+async function scheduleNextLottery(lotteryId, lottery) {
+  const period = RECURRENCE_PERIOD_MS[lottery.recurrence];
+  if (!period || lottery.nextLotteryId) return;
+
+  const startMs = toMillis(lottery.endTime);
+  const next = await createLottery({
+    prizeAmount: lottery.prizeAmount,
+    prizeTiers: lottery.prizeTiers || null,
+    startTime: new Date(startMs).toISOString(),
+    endTime: new Date(startMs + period).toISOString(),
+    recurrence: lottery.recurrence,
+    previousLotteryId: lotteryId
+  });
+
+  await lotteriesCollection.doc(lotteryId).update({ nextLotteryId: next.id });
+}
+
+// ===== LOTTERY SCHEDULER =====
+// Activates drafts at startTime, draws active lotteries at endTime and queues
+// the next lottery for recurring series.
+let lotterySchedulerRunning = false;
+
+async function runLotteryScheduler() {
+  if (lotterySchedulerRunning) return;
+  lotterySchedulerRunning = true;
+
+  try {
+    const now = Date.now();
+
+    const drafts = await lotteriesCollection.where("status", "==", "draft").get();
+    for (const doc of drafts.docs) {
+      const startMs = toMillis(doc.data().startTime);
+      if (startMs && startMs <= now) {
+        const result = await activateLottery(doc.id);
+        if (!result.lottery) console.warn(`⚠️ Could not activate ${doc.id}: ${result.message}`);
+      }
+    }
+
+    // Ended lotteries, and draws that failed after fixing their entries
+    const active = await lotteriesCollection.where("status", "in", ["active", "drawing"]).get();
+    for (const doc of active.docs) {
+      const lottery = doc.data();
+      if (lottery.status === "drawing") {
+        if ((toMillis(lottery.drawLeaseExpiresAt) || 0) > now) continue;
+      } else {
+        const endMs = toMillis(lottery.endTime);
+        if (!endMs || endMs > now) continue;
+      }
+
+      console.log(`⏰ Lottery ${doc.id} ${lottery.status === "drawing" ? "draw interrupted, resuming" : "ended, drawing"}...`);
+      try {
+        const result = await drawLottery(doc.id);
+        if (!result.winner) {
+          if (result.message === "No eligible users") {
+            await doc.ref.update({
+              status: "cancelled",
+              cancelReason: "no_entries",
+              completedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            console.log(`🎰 Lottery ${doc.id} closed with no entries`);
+          } else {
+            console.warn(`⚠️ Could not draw ${doc.id}: ${result.message}`);
+            continue;
+          }
+        }
+        await scheduleNextLottery(doc.id, lottery);
+      } catch (e) {
+        console.error(`Lottery draw error for ${doc.id}:`, e.message);
+      }
+    }
+  } catch (e) {
+    console.error("Lottery scheduler error:", e.message);
+  } finally {
+    lotterySchedulerRunning = false;
+  }
+}
+
+// ===== LOTTERY CLAIM =====
+// Prize transfers can be triggered by a treasurer admin, or by the winner's own session
+function requireTreasurerOrSession(req, res, next) {
+  if (hasAdminCredentials(req)) {
+    return requireAdmin("treasurer")(req, res, next);
+  }
+  return requireSession(SESSION_SECRET)(req, res, next);
+}
+
+// Apply `changes` to winner `index` inside a transaction, if the winner is still
+// in `expectedStatus`. Returns false when the state moved on underneath us.
+async function updateLotteryWinner(lotteryId, index, expectedStatus, changes) {
+  const lotteryRef = lotteriesCollection.doc(lotteryId);
+
+  return firestore.runTransaction(async (tx) => {
+    const doc = await tx.get(lotteryRef);
+    if (!doc.exists) return false;
+
+    const winners = getLotteryWinners(doc.data()).map(w => ({ ...w }));
+    if (winners[index]?.claimStatus !== expectedStatus) return false;
+
+    winners[index] = { ...winners[index], ...changes };
+    tx.update(lotteryRef, lotteryWinnersUpdate(winners));
+    return true;
+  });
+}
+
+// Find the unpaid prize belonging to a wallet
+async function findLotteryWinnerIndex(winners, winnerWallet) {
+  const providedWinnerWallet = (winnerWallet || "").toLowerCase();
+
+  // Check 1: Direct wallet match (properly drawn lotteries)
+  const direct = winners.findIndex(w =>
+    w.claimStatus !== "claimed" &&
+    (w.walletAddress || "").length > 10 &&
+    (w.walletAddress || "").toLowerCase() === providedWinnerWallet
+  );
+  if (direct !== -1) {
+    console.log(`✅ Direct wallet match`);
+    return direct;
+  }
+
+  // Check 2: Username match (legacy bugged lotteries where handle was stored as wallet)
+  for (const [index, w] of winners.entries()) {
+    if (w.claimStatus === "claimed") continue;
+
+    const handle = normalizeHandle(w.username || "");
+    const userDoc = await usersCollection.doc(handle).get();
+    if (!userDoc.exists) continue;
+
+    const userData = userDoc.data();
+    const storedWallet = (userData.wallet_address || userData.walletAddress || "").toLowerCase();
+    if (storedWallet === providedWinnerWallet) {
+      console.log(`✅ Verified! ${handle} claiming.`);
+      return index;
+    }
+  }
+
+  return -1;
+}
+
+app.post("/api/lottery/claim", requireTreasurerOrSession, async (req, res) => {
+  const { lotteryId, winnerWallet } = req.body;
+
+  if (!lotteryId || !winnerWallet) {
+    return res.status(400).json({ success: false, message: "Missing lotteryId or winnerWallet" });
+  }
+
+  if (!req.admin && winnerWallet !== req.session.wallet) {
+    return res.status(403).json({ success: false, message: "winnerWallet does not match your session" });
+  }
+
+  if (!vaultKeypair) {
+    return res.status(500).json({ success: false, message: "Vault not configured for transfers" });
+  }
+
+  console.log(`🎰 Processing lottery claim: ${lotteryId} for ${winnerWallet}`);
+
+  try {
+    const lotteryDoc = await lotteriesCollection.doc(lotteryId).get();
+
+    if (!lotteryDoc.exists) {
+      return res.status(404).json({ success: false, message: "Lottery not found" });
+    }
+
+    const lottery = lotteryDoc.data();
+
+    // Validate lottery status and winner
+    if (lottery.status === 'claimed') {
+      return res.status(400).json({ success: false, message: "All prizes already claimed" });
+    }
+
+    if (lottery.status !== 'completed') {
+      return res.status(400).json({ success: false, message: "Lottery not yet drawn" });
+    }
+
+    const winners = getLotteryWinners(lottery);
+    const index = await findLotteryWinnerIndex(winners, winnerWallet);
+
+    if (index === -1) {
+      console.warn(`❌ Claim rejected. Winners: ${winners.map(w => w.walletAddress).join(", ")}, Provided: ${winnerWallet}`);
+      return res.status(403).json({
+        success: false,
+        message: "Not an unpaid winner of this lottery"
+      });
+    }
+
+    let prize = winners[index];
+
+    // A previous claim for this prize was interrupted: settle it from chain first
+    if (prize.claimStatus === "claiming") {
+      if ((prize.claimLeaseExpiresAt || 0) > Date.now()) {
+        return res.status(409).json({ success: false, message: "A claim for this prize is already in progress" });
+      }
+
+      const check = prize.claimTxSignature
+        ? await checkSubmittedTransaction(prize.claimTxSignature, prize.claimLastValidBlockHeight)
+        : { state: "expired" };
+
+      if (check.state === "landed") {
+        await updateLotteryWinner(lotteryId, index, "claiming", {
+          claimStatus: "claimed",
+          claimedAt: admin.firestore.Timestamp.now()
+        });
+        return res.json({
+          success: true,
+          txSignature: prize.claimTxSignature,
+          amount: fromBaseUnits(prizeRawAmount(prize), USDC.decimals),
+          amount_raw: prizeRawAmount(prize),
+          message: `Successfully transferred $${fromBaseUnits(prizeRawAmount(prize), USDC.decimals)} USDC`
+        });
+      }
+
+      if (check.state === "in_flight") {
+        return res.status(409).json({
+          success: false,
+          message: "A previous prize transfer is still confirming. Try again shortly.",
+          txSignature: prize.claimTxSignature
+        });
+      }
+
+      await updateLotteryWinner(lotteryId, index, "claiming", { claimStatus: "unclaimed", claimTxSignature: null });
+      prize = { ...prize, claimStatus: "unclaimed", claimTxSignature: null };
+    }
+
+    const usdcAmount = prizeRawAmount(prize);
+    if (usdcAmount <= 0) {
+      return res.status(400).json({ success: false, message: "Invalid prize amount" });
+    }
+    const prizeAmount = fromBaseUnits(usdcAmount, USDC.decimals);
+
+    // Get token accounts
+    const vaultPubkey = vaultKeypair.publicKey;
+    const recipientPubkey = new PublicKey(winnerWallet);
+    const mintInfo = await getMintInfo(USDC_MINT);
+
+    const vaultAta = await getTokenAddress(mintInfo, vaultPubkey);
+
+    // Check vault balance
+    try {
+      const vaultAccount = await getAccount(solanaConnection, vaultAta, "confirmed", mintInfo.programId);
+      if (Number(vaultAccount.amount) < usdcAmount) {
+        console.error("❌ Insufficient vault balance for lottery claim");
+        return res.status(400).json({
+          success: false,
+          message: `Insufficient vault balance. Need ${prizeAmount} USDC`
+        });
+      }
+    } catch (e) {
+      console.error("❌ Error checking vault balance:", e);
+      return res.status(500).json({ success: false, message: "Could not verify vault balance" });
+    }
+
+    // Lock this prize so it can't be paid twice
+    const locked = await updateLotteryWinner(lotteryId, index, "unclaimed", {
+      claimStatus: "claiming",
+      claimWallet: winnerWallet,
+      claimLeaseExpiresAt: Date.now() + CLAIM_LEASE_MS
+    });
+    if (!locked) {
+      return res.status(409).json({ success: false, message: "This prize is already being claimed" });
+    }
+
+    const instructions = [];
+
+    // Create the winner's ATA if it doesn't exist yet
+    const recipient = await prepareRecipientTokenAccount(mintInfo, recipientPubkey);
+    if (recipient.createInstruction) {
+      console.log("💡 Creating recipient USDC ATA...");
+      instructions.push(recipient.createInstruction);
+    }
+
+    // Add transfer instruction
+    instructions.push(
+      createTransferCheckedInstruction(
+        vaultAta,
+        mintInfo.mint,
+        recipient.ata,
+        vaultPubkey,
+        usdcAmount,
+        mintInfo.decimals,
+        [],
+        mintInfo.programId
+      )
+    );
+
+    let submitted = false;
+    const result = await sendTransaction(solanaConnection, vaultKeypair, instructions, {
+      onSigned: async (signature, lastValidBlockHeight) => {
+        const recorded = await updateLotteryWinner(lotteryId, index, "claiming", {
+          claimTxSignature: signature,
+          claimLastValidBlockHeight: lastValidBlockHeight,
+          claimLeaseExpiresAt: Date.now() + CLAIM_LEASE_MS
+        });
+        if (recorded) submitted = true;
+        return recorded;
+      }
+    });
+
+    if (!result.success) {
+      console.error(`❌ Lottery prize transfer failed [${result.code}]:`, result.error);
+
+      // Release the prize unless a transfer may still land; the next claim
+      // attempt or the reconciler settles that case from the signature
+      if (!submitted || result.landed) {
+        await updateLotteryWinner(lotteryId, index, "claiming", {
+          claimStatus: "unclaimed",
+          claimTxSignature: null,
+          claimError: result.code
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: `Transfer failed: ${result.error}`,
+        code: result.code,
+        details: result.logs,
+        txSignature: result.signature
+      });
+    }
+
+    const signature = result.signature;
+    console.log(`✅ Lottery prize confirmed: ${signature}`);
+
+    // Update prize (and lottery, once every prize is paid) in Firebase
+    await updateLotteryWinner(lotteryId, index, "claiming", {
+      claimStatus: "claimed",
+      claimTxSignature: signature,
+      claimedAt: admin.firestore.Timestamp.now()
+    });
+
+    console.log(`🎉 Lottery ${lotteryId} prize ${index + 1}/${winners.length} claimed successfully!`);
+
+    res.json({
+      success: true,
+      txSignature: signature,
+      amount: prizeAmount,
+      amount_raw: usdcAmount,
+      tier: prize.tierLabel,
+      message: `Successfully transferred $${prizeAmount} USDC`
+    });
+
+  } catch (e) {
+    console.error("❌ Lottery claim error:", e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+// Runs a scan now (and restarts the schedule from it) unless one is running
+// or X's search quota is used up
+app.get("/api/rescan", requireAdmin("operator"), async (req, res) => {
+  if (tweetScanRunning) {
+    return res.status(409).json({ success: false, message: "A tweet scan is already running" });
+  }
+  const blockedUntil = xClient?.blockedUntil(SEARCH_PATH);
+  if (blockedUntil) {
+    return res.status(429).json({
+      success: false,
+      message: "X search quota used up",
+      retry_at: new Date(blockedUntil).toISOString()
+    });
+  }
+
+  const run = await runTweetScanCycle();
+  res.json({ success: true, message: "Manual rescan complete", ...run });
+});
+
+// GET /api/admin/scan/status - Scanner schedule, last run, checkpoint and X quota
+app.get("/api/admin/scan/status", requireAdmin("operator"), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      running: tweetScanRunning,
+      interval_ms: scanSchedule.intervalMs,
+      next_run_at: scanSchedule.nextRunAt ? new Date(scanSchedule.nextRunAt).toISOString() : null,
+      checkpoint: await getMeta("last_seen_tweet_id"),
+      last_run: scanSchedule.lastRun,
+      tweets_processed_since_start: scanSchedule.tweetsProcessed,
+      ingestion_mode: X_INGESTION_MODE,
+      webhook: {
+        enabled: webhookEnabled(),
+        events_received: webhookStats.events,
+        tweets_received: webhookStats.tweets,
+        rejected_signatures: webhookStats.rejectedSignatures,
+        last_event_at: webhookStats.lastEventAt
+      },
+      quota: xClient ? xClient.rateLimits() : null
+    });
+  } catch (e) {
+    console.error("/api/admin/scan/status error:", e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+// POST /api/admin/scan/backfill - Re-run the scanner over a past window
+// Body: { start_time, end_time } within the last 7 days. Tweets that were
+// already recorded are skipped, and the scan checkpoint is left alone.
+app.post("/api/admin/scan/backfill", requireAdmin("operator"), async (req, res) => {
+  const startMs = toMillis(req.body?.start_time);
+  const endMs = toMillis(req.body?.end_time);
+  if (!startMs || !endMs || startMs >= endMs) {
+    return res.status(400).json({ success: false, message: "start_time and end_time must be valid dates, start before end" });
+  }
+  if (startMs < Date.now() - SEARCH_WINDOW_MS) {
+    return res.status(400).json({ success: false, message: "start_time must be within the last 7 days" });
+  }
+  // X rejects an end_time less than 10 seconds ago
+  const untilMs = Math.min(endMs, Date.now() - 10 * 1000);
+
+  if (!X_BEARER_TOKEN) {
+    return res.status(503).json({ success: false, message: "X_BEARER_TOKEN not configured" });
+  }
+  if (tweetScanRunning) {
+    return res.status(409).json({ success: false, message: "A tweet scan is already running. Try again shortly." });
+  }
+  tweetScanRunning = true;
+
+  try {
+    const result = await searchMentions({ start_time: toXTime(startMs), end_time: toXTime(untilMs) });
+    if (result.rateLimited) {
+      return res.status(429).json({
+        success: false,
+        message: `X rate limit reached after ${result.pages} pages; nothing was processed`,
+        retry_at: new Date(result.resetAt).toISOString()
+      });
+    }
+
+    const counts = await processMentions(result);
+    const summary = {
+      start_time: new Date(startMs).toISOString(),
+      end_time: new Date(untilMs).toISOString(),
+      pages: result.pages,
+      tweets: result.tweets.length,
+      ...counts
+    };
+
+    await metaCollection.doc("scan_backfill_last_run").set({
+      value: new Date().toISOString(),
+      by: req.admin.id,
+      ...summary
+    });
+
+    console.log(`🔁 Backfill complete: ${JSON.stringify(summary)}`);
+    res.json({ success: true, ...summary });
+  } catch (e) {
+    console.error("/api/admin/scan/backfill error:", e);
+    res.status(500).json({ success: false, message: e.message });
+  } finally {
+    tweetScanRunning = false;
+  }
+});
+
+// ===== SOCIAL COMMANDS =====
+// Every source (X search and webhook, Telegram, Farcaster) turns what it
+// receives into a social command (lib/socialCommand.js) and hands it to
+// processCommand: same grammar, same dedup by command ID, same payments.
+// Outside X a command's author is bound to a user through a linked identity.
+
+// Handle of the user linked to a platform account, or null
+async function findLinkedHandle(source, platformUserId) {
+  if (!platformUserId) return null;
+  const snapshot = await usersCollection
+    .where(`linked_identities.${source}.id`, "==", String(platformUserId))
+    .limit(1)
+    .get();
+  return snapshot.empty ? null : snapshot.docs[0].id;
+}
+
+// The user linked to a platform username ("@bob" in a Telegram or Farcaster
+// command), or null
+async function findLinkedUserByName(source, platformHandle) {
+  if (!platformHandle) return null;
+  const snapshot = await usersCollection
+    .where(`linked_identities.${source}.handle`, "==", normalizeHandle(platformHandle))
+    .limit(1)
+    .get();
+  return snapshot.empty ? null : { handle: snapshot.docs[0].id, xUserId: snapshot.docs[0].data().x_user_id || null };
+}
+
+// The user a command is from: the X handle itself, or the linked user elsewhere
+async function resolveCommandSender(command) {
+  if (command.source === "x") {
+    return command.author.handle || command.author.id || "unknown";
+  }
+  return findLinkedHandle(command.source, command.author?.id);
+}
+
+// Who a bare "tip $2" pays: the author of the post it replies to, unless
+// that's the bot itself
+async function resolveTipTarget(command, botHandle) {
+  const author = command.replyTo?.author;
+  if (!author || (botHandle && author.handle === botHandle)) return null;
+  if (command.source === "x") return author.handle;
+  return findLinkedHandle(command.source, author.id);
+}
+
+// The command a confirmation is for: a reply to the bot's "confirm" question
+// is for the command that question answered
+async function resolveConfirmTarget(repliedToId) {
+  const snapshot = await repliesCollection
+    .where("reply_tweet_id", "==", repliedToId)
+    .limit(1)
+    .get();
+  return snapshot.empty ? repliedToId : snapshot.docs[0].data().in_reply_to;
+}
+
+// Record the payments, cancellation or confirmation in one command.
+// Returns "payment", "cancel", "confirm", "link", "rejected" or "ignored".
+async function handleCommand(command) {
+  const id = commandId(command);
+  const botHandle = SOCIAL_BOT_HANDLES[command.source];
+
+  // The bot's own replies quote example commands
+  if (botHandle && command.author?.handle === botHandle) {
+    return "ignored";
+  }
+
+  if (command.isRepost) {
+    console.log(`⏭ Skipping repost ${id}`);
+    return "ignored";
+  }
+
+  if (command.source !== "x") {
+    const code = parseLinkCommand(command, botHandle);
+    if (code) {
+      await linkIdentity(command, code);
+      return "link";
+    }
+  }
+
+  const sender = await resolveCommandSender(command);
+
+  const cancelTarget = parseCancelCommand(command, botHandle);
+  if (cancelTarget) {
+    await cancelTweetPayments(cancelTarget, sender, id);
+    return "cancel";
+  }
+
+  const confirmReplyTo = parseConfirmCommand(command, botHandle);
+  if (confirmReplyTo) {
+    const target = command.source === "x" ? await resolveConfirmTarget(confirmReplyTo) : confirmReplyTo;
+    await confirmCommandPayments(target, sender, id, command.source === "x" ? command.author?.id : null);
+    return "confirm";
+  }
+
+  const tipTarget = await resolveTipTarget(command, botHandle);
+  const parsed = parsePaymentCommand(command.text, {
+    botHandle,
+    sender,
+    replyToHandle: tipTarget,
+    currencies: TOKENS.currencyWords(),
+    decimals: TOKENS.decimals(),
+    maxAmounts: TOKENS.maxAmounts()
+  });
+
+  if (!parsed.ok && parsed.reason === PARSE_ERRORS.NO_COMMAND) return "ignored";
+
+  if (!sender) {
+    console.log(`⛔ Rejected command ${id}: ${command.source} user ${command.author?.id} has no linked account`);
+    return "rejected";
+  }
+
+  if (!parsed.ok) {
+    console.log(`⛔ Rejected command ${id} [${parsed.reason}]: ${parsed.message}`);
+    await replyToCommand(command, "rejected", { sender, message: parsed.message, botHandle });
+    return "rejected";
+  }
+
+  const tippedId = parsed.mode === "tip" && command.replyTo
+    ? commandId({ source: command.source, messageId: command.replyTo.messageId })
+    : null;
+
+  // Bind recipients to their X user IDs now; ones X can't resolve are recorded by handle.
+  // Outside X "@bob" is a username on that platform, so it pays whoever linked it;
+  // a tip's recipient was already resolved that way (resolveTipTarget).
+  let recipientIds = new Map();
+  if (command.source === "x") {
+    recipientIds = await xUsers.resolveHandles(parsed.recipients.map(r => r.handle));
+  } else if (parsed.mode !== "tip") {
+    const recipients = [];
+    for (const recipient of parsed.recipients) {
+      const linked = await findLinkedUserByName(command.source, recipient.handle);
+      if (!linked) {
+        console.log(`⛔ Rejected command ${id}: ${command.source} user @${normalizeHandle(recipient.handle)} has no linked account`);
+        return "rejected";
+      }
+      recipientIds.set(linked.handle, linked.xUserId);
+      recipients.push({ ...recipient, handle: linked.handle });
+    }
+    parsed.recipients = recipients;
+  }
+  const recorded = [];
+  const skipped = [];
+  for (const [index, recipient] of parsed.recipients.entries()) {
+    const paymentId = paymentIdFor(id, index, parsed.recipients.length);
+    const result = await recordPayment(sender, recipient.handle, recipient.rawAmount, paymentId, {
+      sourceTweetId: id,
+      source: command.source,
+      sortKey: command.sortKey,
+      recipientIndex: index,
+      memo: parsed.memo,
+      mode: parsed.mode,
+      tippedTweetId: tippedId,
+      tokenSymbol: parsed.currency,
+      senderXUserId: command.source === "x" ? command.author.id : null,
+      recipientXUserId: recipientIds.get(normalizeHandle(recipient.handle)) || null,
+      commandTotalRaw: parsed.totalRaw
+    });
+    if (result.skipped) {
+      skipped.push(result.skipped);
+      continue;
+    }
+
+    recorded.push({
+      recipient: normalizeHandle(recipient.handle),
+      amount: formatTokenAmount(recipient.amount, parsed.currency),
+      paymentId,
+      status: result.status,
+      reason: result.reason
+    });
+    if (ESCROW_MODE && result.status === "pending") {
+      await fundEscrow(paymentId);
+    }
+  }
+
+  // Commands seen before (rescans, backfills) were answered the first time
+  const awaiting = recorded.filter(p => p.status === "awaiting_confirmation");
+  if (awaiting.length > 0) {
+    await replyToCommand(command, "confirm", {
+      sender: normalizeHandle(sender),
+      payments: awaiting,
+      timeoutMinutes: Math.round(CONFIRMATION_TIMEOUT_MS / 60000)
+    });
+  } else if (recorded.length > 0) {
+    await replyToCommand(command, "recorded", { sender: normalizeHandle(sender), payments: recorded, frontendUrl: FRONTEND_URL });
+  } else if (skipped.length > 0 && skipped.every(reason => reason === "duplicate")) {
+    await replyToCommand(command, "duplicate", { sender: normalizeHandle(sender) });
+  }
+  return "payment";
+}
+
+// Command IDs being handled right now. Two sources (the poller and the X
+// webhook) can deliver the same command at once; afterwards, payment and reply
+// document IDs keyed by command ID keep a second pass from recording or
+// replying again.
+const commandsInFlight = new Set();
+
+async function processCommand(command) {
+  const id = commandId(command);
+  if (commandsInFlight.has(id)) {
+    console.log(`⏭ Command ${id} is already being processed`);
+    return "ignored";
+  }
+
+  commandsInFlight.add(id);
+  try {
+    return await handleCommand(command);
+  } finally {
+    commandsInFlight.delete(id);
+  }
+}
+
+// ===== TWITTER SCANNER =====
+
+const SEARCH_PATH = "/2/tweets/search/recent";
+const MENTION_QUERY = `@${BOT_HANDLE} (send OR pay OR split OR tip OR cancel OR confirm) -is:retweet -is:quote -from:${BOT_HANDLE}`;
+const MENTION_PAGE_SIZE = 100; // max_results allowed by /2/tweets/search/recent
+const SEARCH_WINDOW_MS = 7 * 24 * 60 * 60 * 1000; // recent search only covers the last 7 days
+const SEARCH_QUOTA_RESERVE = 5; // requests kept back for backfills and manual rescans
+let tweetScanRunning = false;
+
+const xClient = X_BEARER_TOKEN ? createXClient({ bearerToken: X_BEARER_TOKEN, userAuth: X_USER_AUTH }) : null;
+// handle ↔ X user ID, filled from API responses and the users lookup endpoints
+const xUsers = createXUserDirectory({ xClient });
+
+// Self-rescheduling scan timer (see scheduleTweetScan)
+const scanSchedule = {
+  timer: null,
+  intervalMs: SCAN_MAX_INTERVAL_MS,
+  nextRunAt: null,
+  lastRun: null,
+  tweetsProcessed: 0
+};
+
+// X wants RFC 3339 timestamps without milliseconds
+function toXTime(ms) {
+  return new Date(ms).toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+// Fetch every page of mentions matching `params` (since_id or start_time /
+// end_time), following next_token. Returns { tweets (oldest first), users,
+// referencedTweets, pages }, or { rateLimited: true, resetAt, pages } if the
+// search quota ran out before the last page.
+async function searchMentions(params = {}) {
+  const tweets = [];
+  const users = {};
+  const referencedTweets = {};
+  let nextToken = null;
+  let pages = 0;
+
+  do {
+    const response = await xClient.get(SEARCH_PATH, {
+      query: MENTION_QUERY,
+      max_results: String(MENTION_PAGE_SIZE),
+      "tweet.fields": "author_id,created_at,text,referenced_tweets,entities,in_reply_to_user_id",
+      expansions: "author_id,in_reply_to_user_id,referenced_tweets.id.author_id,entities.mentions.username",
+      "user.fields": "username",
+      ...params,
+      ...(nextToken ? { next_token: nextToken } : {})
+    });
+
+    if (response.rateLimited) {
+      return { rateLimited: true, resetAt: response.resetAt, pages };
+    }
+
+    if (!response.ok) {
+      throw new Error(`X API error: ${JSON.stringify(response.data)}`);
+    }
+
+    const data = response.data;
+    pages++;
+
+    tweets.push(...(data.data || []));
+    for (const u of data.includes?.users || []) {
+      users[u.id] = u.username.toLowerCase();
+      xUsers.remember(u.id, u.username);
+    }
+    // Referenced tweets, to find the author of the post a tip replies to
+    for (const t of data.includes?.tweets || []) {
+      referencedTweets[t.id] = t;
+    }
+
+    nextToken = data.meta?.next_token || null;
+  } while (nextToken);
+
+  // Pages come newest first; process in tweet order so earlier payments commit first
+  tweets.sort((a, b) => (BigInt(a.id) < BigInt(b.id) ? -1 : 1));
+  return { tweets, users, referencedTweets, pages };
+}
+
+// Process fetched mentions in order; returns counts per processCommand outcome
+async function processMentions({ tweets, users, referencedTweets }) {
+  const counts = { payment: 0, cancel: 0, confirm: 0, link: 0, rejected: 0, ignored: 0 };
+  for (const tweet of tweets) {
+    counts[await processCommand(fromXTweet(tweet, users, referencedTweets))]++;
+  }
+  return counts;
+}
+
+// One scan from the checkpoint. Returns a run summary; the checkpoint only
+// advances once every page has been processed.
+async function runScheduledTweetCheck() {
+  if (!xClient) {
+    console.warn("⚠️ No X_BEARER_TOKEN set; skipping scan");
+    return { skipped: "no_bearer_token" };
+  }
+  if (tweetScanRunning) {
+    console.log("⏳ Tweet scan already running; skipping");
+    return { skipped: "already_running" };
+  }
+  tweetScanRunning = true;
+
+  const run = { started_at: new Date().toISOString(), tweets: 0, pages: 0 };
+  console.log(`🔍 Checking mentions for @${BOT_HANDLE}...`);
+  try {
+    const lastSeen = await getMeta("last_seen_tweet_id");
+    const result = await searchMentions(lastSeen ? { since_id: lastSeen } : {});
+    run.pages = result.pages;
+
+    if (result.rateLimited) {
+      run.rate_limited_until = new Date(result.resetAt).toISOString();
+      console.warn(`⚠️ X rate limit reached after ${result.pages} pages. Resuming at ${run.rate_limited_until}.`);
+      return run;
+    }
+
+    run.tweets = result.tweets.length;
+    if (result.tweets.length === 0) {
+      console.log("No mentions found.");
+      return run;
+    }
+
+    run.outcomes = await processMentions(result);
+
+    const newestId = result.tweets[result.tweets.length - 1].id;
+    if (!lastSeen || BigInt(newestId) > BigInt(lastSeen)) {
+      await upsertMeta("last_seen_tweet_id", newestId);
+    }
+    run.checkpoint = newestId;
+    console.log(`✅ Scan complete (${result.tweets.length} tweets checked over ${result.pages} pages, ${run.outcomes.payment} payment commands).`);
+    return run;
+  } catch (e) {
+    console.error("X scan error:", e.message);
+    run.error = e.message;
+    return run;
+  } finally {
+    tweetScanRunning = false;
+    run.finished_at = new Date().toISOString();
+  }
+}
+
+// Delay before the next scan: until the quota resets when it's used up (or
+// nearly), otherwise halve the interval after a scan that found mentions and
+// stretch it after a quiet one
+function nextScanDelay(run) {
+  const now = Date.now();
+  if (run.rate_limited_until) {
+    return Math.max(new Date(run.rate_limited_until).getTime() - now, 0) + 1000;
+  }
+
+  const quota = xClient?.rateLimits()[SEARCH_PATH];
+  if (quota && quota.remaining !== null && quota.remaining <= SEARCH_QUOTA_RESERVE && quota.reset_at) {
+    const resetAt = new Date(quota.reset_at).getTime();
+    if (resetAt > now) return resetAt - now + 1000;
+  }
+
+  if (run.error) return scanSchedule.intervalMs;
+
+  scanSchedule.intervalMs = run.tweets > 0
+    ? Math.max(SCAN_MIN_INTERVAL_MS, Math.round(scanSchedule.intervalMs / 2))
+    : Math.min(SCAN_MAX_INTERVAL_MS, Math.round(scanSchedule.intervalMs * 1.5));
+  return scanSchedule.intervalMs;
+}
+
+// Run a scan, record it and schedule the next one
+async function runTweetScanCycle() {
+  clearTimeout(scanSchedule.timer);
+  scanSchedule.nextRunAt = null;
+
+  const run = await runScheduledTweetCheck();
+  if (!run.skipped) {
+    scanSchedule.lastRun = run;
+    scanSchedule.tweetsProcessed += run.tweets;
+    try {
+      await metaCollection.doc("scan_last_run").set({ value: run.finished_at, ...run });
+    } catch (e) {
+      console.error("Could not store scan run:", e.message);
+    }
+  }
+
+  // A backfill or another cycle holds the scan lock: try again shortly. A cycle
+  // in progress replaces this retry with its own schedule when it finishes.
+  scheduleTweetScan(run.skipped === "already_running" ? SCAN_MIN_INTERVAL_MS : nextScanDelay(run));
+  return run;
+}
+
+function scheduleTweetScan(delayMs) {
+  clearTimeout(scanSchedule.timer);
+  scanSchedule.nextRunAt = Date.now() + delayMs;
+  scanSchedule.timer = setTimeout(runTweetScanCycle, delayMs);
+}
+
+// ===== X WEBHOOK =====
+// Account Activity API ingestion. X checks the endpoint with a CRC challenge
+// (GET) and signs every event delivery (POST) with the app's consumer secret.
+// Mentions from tweet_create_events go through the same processCommand as
+// the poller; with X_INGESTION_MODE=both the two overlap safely.
+const WEBHOOK_PATH = "/webhooks/x";
+const webhookStats = { events: 0, tweets: 0, rejectedSignatures: 0, lastEventAt: null };
+// Webhook deliveries (from any source) are acknowledged at once and their
+// commands processed in arrival order
+let webhookQueue = Promise.resolve();
+
+function queueWebhookCommands(commands) {
+  if (commands.length === 0) return;
+
+  webhookQueue = webhookQueue.then(async () => {
+    for (const command of commands) {
+      try {
+        const outcome = await processCommand(command);
+        if (DEBUG_MODE) console.log(`📨 Webhook command ${commandId(command)}: ${outcome}`);
+      } catch (e) {
+        console.error(`Webhook command ${commandId(command)} error:`, e.message);
+      }
+    }
+  });
+}
+
+function webhookEnabled() {
+  return X_INGESTION_MODE !== "poll" && !!X_USER_AUTH;
+}
+
+function webhookHmac(payload) {
+  return `sha256=${crypto.createHmac("sha256", X_USER_AUTH.consumerSecret).update(payload).digest("base64")}`;
+}
+
+function validWebhookSignature(req) {
+  const signature = req.get("x-twitter-webhooks-signature") || "";
+  const expected = webhookHmac(req.rawBody || "");
+  return signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+function mentionsBot(event) {
+  const entities = event.extended_tweet?.entities || event.entities || {};
+  return (entities.user_mentions || []).some(m => m.screen_name?.toLowerCase() === BOT_HANDLE);
+}
+
+// v1.1 events name the IDs of the author and everyone mentioned
+function rememberWebhookUsers(event) {
+  const entities = event.extended_tweet?.entities || event.entities || {};
+  if (event.user) xUsers.remember(event.user.id_str, event.user.screen_name);
+  for (const m of entities.user_mentions || []) xUsers.remember(m.id_str, m.screen_name);
+}
+
+// GET /webhooks/x - CRC challenge, answered when the webhook is registered and hourly after
+app.get(WEBHOOK_PATH, (req, res) => {
+  if (!webhookEnabled()) {
+    return res.status(404).json({ success: false, message: "X webhook not enabled" });
+  }
+
+  const crcToken = req.query.crc_token;
+  if (!crcToken || typeof crcToken !== "string") {
+    return res.status(400).json({ success: false, message: "crc_token required" });
+  }
+
+  res.json({ response_token: webhookHmac(crcToken) });
+});
+
+// POST /webhooks/x - Account Activity events
+app.post(WEBHOOK_PATH, (req, res) => {
+  if (!webhookEnabled()) {
+    return res.status(404).json({ success: false, message: "X webhook not enabled" });
+  }
+
+  if (!validWebhookSignature(req)) {
+    webhookStats.rejectedSignatures++;
+    console.warn("⚠️ X webhook delivery with an invalid signature - ignoring");
+    return res.status(401).json({ success: false, message: "Invalid signature" });
+  }
+
+  webhookStats.events++;
+  webhookStats.lastEventAt = new Date().toISOString();
+  res.sendStatus(200);
+
+  const events = (req.body?.tweet_create_events || []).filter(event => event && mentionsBot(event));
+  events.forEach(rememberWebhookUsers);
+  const commands = events.map(fromXWebhookTweet).filter(Boolean);
+  webhookStats.tweets += commands.length;
+  queueWebhookCommands(commands);
+});
+
+// ===== TELEGRAM & FARCASTER WEBHOOKS =====
+// Telegram sends TELEGRAM_WEBHOOK_SECRET (the secret_token given to
+// setWebhook) in a header; Neynar signs Farcaster deliveries with
+// HMAC-SHA512 of the body under FARCASTER_WEBHOOK_SECRET. The bot only
+// replies on X, so results show up in the app.
+
+function secretsMatch(provided, expected) {
+  const a = Buffer.from(String(provided || ""));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// POST /webhooks/telegram - Bot API updates
+app.post("/webhooks/telegram", (req, res) => {
+  if (!TELEGRAM_WEBHOOK_SECRET) {
+    return res.status(404).json({ success: false, message: "Telegram webhook not enabled" });
+  }
+  if (!secretsMatch(req.get("x-telegram-bot-api-secret-token"), TELEGRAM_WEBHOOK_SECRET)) {
+    console.warn("⚠️ Telegram webhook delivery with an invalid secret - ignoring");
+    return res.status(401).json({ success: false, message: "Invalid secret" });
+  }
+
+  res.sendStatus(200);
+  const command = fromTelegramUpdate(req.body);
+  if (command) queueWebhookCommands([command]);
+});
+
+// POST /webhooks/farcaster - cast.created events
+app.post("/webhooks/farcaster", (req, res) => {
+  if (!FARCASTER_WEBHOOK_SECRET) {
+    return res.status(404).json({ success: false, message: "Farcaster webhook not enabled" });
+  }
+  const expected = crypto.createHmac("sha512", FARCASTER_WEBHOOK_SECRET).update(req.rawBody || "").digest("hex");
+  if (!secretsMatch(req.get("x-neynar-signature"), expected)) {
+    console.warn("⚠️ Farcaster webhook delivery with an invalid signature - ignoring");
+    return res.status(401).json({ success: false, message: "Invalid signature" });
+  }
+
+  res.sendStatus(200);
+  const command = fromFarcasterCast(req.body);
+  if (command) queueWebhookCommands([command]);
+});
+
+// ===== LINKED IDENTITIES =====
+// A logged-in user gets a one-time code from the app and sends "link <code>"
+// to the bot from Telegram or Farcaster. That account's commands are then
+// made as the user; each platform account links to one user at most.
+const identityLinkCodesCollection = firestore.collection("identity_link_codes");
+const LINK_CODE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const LINKABLE_SOURCES = ["telegram", "farcaster"];
+
+// "link ABCD2345" (after an optional bot mention). Returns the code or null.
+function parseLinkCommand(command, botHandle) {
+  const text = String(command.text || "").trim();
+  const prefix = botHandle ? `(?:@${botHandle}\\s+)?` : "";
+  const m = text.match(new RegExp(`^${prefix}link\\s+([a-z0-9]{8})\\b`, "i"));
+  return m ? m[1].toUpperCase() : null;
+}
 
-// Get active or recent lottery
-app.get("/api/lottery/active", async (req, res) => {
-  try {
-    // Get recent lotteries sorted by createdAt (no composite index needed)
-    const snapshot = await lotteriesCollection
-      .orderBy("createdAt", "desc")
-      .limit(5)
-      .get();
+async function linkIdentity(command, code) {
+  const codeRef = identityLinkCodesCollection.doc(code);
+  const platformUserId = String(command.author.id);
 
-    if (snapshot.empty) {
-      return res.json({ success: true, lottery: null });
+  const result = await firestore.runTransaction(async (tx) => {
+    const codeDoc = await tx.get(codeRef);
+    const link = codeDoc.data();
+    if (!codeDoc.exists || link.used_at || link.expires_at.toMillis() < Date.now()) {
+      return { error: "invalid or expired code" };
     }
 
-    // Find active lottery first, otherwise return most recent
-    let activeLottery = null;
-    let mostRecent = null;
+    const existing = await tx.get(
+      usersCollection.where(`linked_identities.${command.source}.id`, "==", platformUserId).limit(1)
+    );
+    if (!existing.empty && existing.docs[0].id !== link.handle) {
+      return { error: `already linked to @${existing.docs[0].id}` };
+    }
 
-    snapshot.forEach(doc => {
-      const data = { id: doc.id, ...doc.data() };
-      if (!mostRecent) mostRecent = data;
-      if (data.status === "active" && !activeLottery) {
-        activeLottery = data;
-      }
+    tx.set(usersCollection.doc(link.handle), {
+      linked_identities: {
+        [command.source]: {
+          id: platformUserId,
+          handle: command.author.handle || null,
+          linked_at: admin.firestore.Timestamp.now()
+        }
+      },
+      updated_at: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    tx.update(codeRef, {
+      used_at: admin.firestore.FieldValue.serverTimestamp(),
+      source: command.source,
+      platform_user_id: platformUserId
     });
+    return { handle: link.handle };
+  });
 
-    const lottery = activeLottery || mostRecent;
-    res.json({ success: true, lottery });
-  } catch (e) {
-    console.error("/api/lottery/active error:", e);
-    res.status(500).json({ success: false, message: e.message });
+  if (result.error) {
+    console.log(`⛔ ${command.source} link by ${platformUserId} rejected: ${result.error}`);
+  } else {
+    console.log(`🔗 Linked ${command.source} user ${platformUserId} to @${result.handle}`);
   }
-});
+  return result;
+}
 
-// Get lottery history (completed/claimed lotteries)
-app.get("/api/lottery/history", async (req, res) => {
+// POST /api/identities/link-code - One-time code to link a Telegram or Farcaster account
+app.post("/api/identities/link-code", requireSession(SESSION_SECRET), async (req, res) => {
   try {
-    const snapshot = await lotteriesCollection
-      .orderBy("createdAt", "desc")
-      .limit(20)
-      .get();
-
-    const history = [];
-    snapshot.forEach(doc => {
-      const data = { id: doc.id, ...doc.data() };
-      // Only include completed or claimed lotteries with winners
-      if ((data.status === "completed" || data.status === "claimed") && data.winner) {
-        history.push(data);
-      }
+    // 8 characters without look-alikes (0/O, 1/I)
+    const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+    const code = [...crypto.randomBytes(8)].map(b => alphabet[b % alphabet.length]).join("");
+    const expiresAt = admin.firestore.Timestamp.fromMillis(Date.now() + LINK_CODE_TTL_MS);
+
+    await identityLinkCodesCollection.doc(code).create({
+      handle: req.session.handle,
+      expires_at: expiresAt,
+      used_at: null,
+      created_at: admin.firestore.FieldValue.serverTimestamp()
     });
 
-    res.json({ success: true, history });
+    res.json({
+      success: true,
+      code,
+      expires_at: expiresAt.toDate().toISOString(),
+      instructions: `Send "link ${code}" to the bot on Telegram or Farcaster`
+    });
   } catch (e) {
-    console.error("/api/lottery/history error:", e);
+    console.error("/api/identities/link-code error:", e);
     res.status(500).json({ success: false, message: e.message });
   }
 });
 
-// Create new lottery (admin only)
-app.post("/api/lottery/create", async (req, res) => {
-  const { prizeAmount, endTime } = req.body;
-
-  if (!prizeAmount || !endTime) {
-    return res.status(400).json({ success: false, message: "Missing prizeAmount or endTime" });
-  }
-
+// GET /api/identities - Accounts linked to the logged-in user
+app.get("/api/identities", requireSession(SESSION_SECRET), async (req, res) => {
   try {
-    const now = new Date();
-    const lotteryId = `lottery_${now.getFullYear()}_${now.getMonth() + 1}_${now.getDate()}_${Date.now()}`;
-
-    const newLottery = {
-      id: lotteryId,
-      prizeAmount: parseFloat(prizeAmount) || 50,
-      endTime: endTime,
-      status: "draft",
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      activatedAt: null,
-      winner: null,
-      totalEntries: 0,
-      participantCount: 0,
-      claimedAt: null,
-      claimTxSignature: null
-    };
+    const doc = await usersCollection.doc(req.session.handle).get();
+    const linked = doc.exists ? doc.data().linked_identities || {} : {};
 
-    await lotteriesCollection.doc(lotteryId).set(newLottery);
-    console.log(`🎰 Lottery created: ${lotteryId} - $${prizeAmount}`);
-
-    res.json({ success: true, lotteryId, lottery: { ...newLottery, id: lotteryId } });
+    res.json({
+      success: true,
+      identities: Object.fromEntries(Object.entries(linked).map(([source, identity]) => [source, {
+        id: identity.id,
+        handle: identity.handle,
+        linked_at: identity.linked_at?.toDate?.().toISOString() || null
+      }]))
+    });
   } catch (e) {
-    console.error("/api/lottery/create error:", e);
+    console.error("/api/identities error:", e);
     res.status(500).json({ success: false, message: e.message });
   }
 });
 
-// Activate lottery (admin only)
-app.post("/api/lottery/activate", async (req, res) => {
-  const { lotteryId } = req.body;
-
-  if (!lotteryId) {
-    return res.status(400).json({ success: false, message: "Missing lotteryId" });
+// DELETE /api/identities/:source - Unlink a Telegram or Farcaster account
+app.delete("/api/identities/:source", requireSession(SESSION_SECRET), async (req, res) => {
+  const { source } = req.params;
+  if (!LINKABLE_SOURCES.includes(source)) {
+    return res.status(400).json({ success: false, message: `source must be one of ${LINKABLE_SOURCES.join(", ")}` });
   }
 
   try {
-    await lotteriesCollection.doc(lotteryId).update({
-      status: "active",
-      activatedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
-
-    const doc = await lotteriesCollection.doc(lotteryId).get();
-    console.log(`🎰 Lottery activated: ${lotteryId}`);
-
-    res.json({ success: true, lottery: { id: doc.id, ...doc.data() } });
+    await usersCollection.doc(req.session.handle).set({
+      linked_identities: { [source]: admin.firestore.FieldValue.delete() },
+      updated_at: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    res.json({ success: true });
   } catch (e) {
-    console.error("/api/lottery/activate error:", e);
+    console.error(`/api/identities/${source} error:`, e);
     res.status(500).json({ success: false, message: e.message });
   }
 });
 
-// Draw lottery winner (admin only)
-app.post("/api/lottery/draw", async (req, res) => {
-  const { lotteryId } = req.body;
+// ===== BOT REPLIES =====
+// Replies to payment commands and claims are queued in Firestore and posted by
+// runReplyQueue, so they survive restarts and wait out X's write rate limit.
+// Doc IDs are "<tweet>:<kind>" ("<payment>:claimed" for claims), which makes
+// every reply post at most once however often its tweet is processed.
+const repliesCollection = firestore.collection("bot_replies");
+const TWEETS_PATH = "/2/tweets";
+const REPLY_BATCH_SIZE = 20;
+const REPLY_MAX_ATTEMPTS = 5;
+const REPLY_RETRY_BASE_MS = 60 * 1000; // doubled after each failed attempt
+const REPLY_LEASE_MS = 2 * 60 * 1000;  // a reply being posted isn't picked up again before this
+let replyQueueRunning = false;
+
+function repliesEnabled() {
+  return !!xClient?.canPost;
+}
 
-  if (!lotteryId) {
-    return res.status(400).json({ success: false, message: "Missing lotteryId" });
-  }
+// Reply to a command; only commands posted on X get one
+async function replyToCommand(command, kind, params) {
+  if (command.source !== "x") return false;
+  return queueReply(command.messageId, kind, params);
+}
 
-  try {
-    // Get all users with sent payments
-    const usersSnapshot = await usersCollection.get();
-    const eligibleUsers = [];
+function replyDocument(inReplyTo, kind, text, fields = {}) {
+  return {
+    in_reply_to: inReplyTo,
+    kind,
+    text,
+    status: "queued",
+    attempts: 0,
+    next_attempt_at: admin.firestore.Timestamp.now(),
+    reply_tweet_id: null,
+    last_error: null,
+    created_at: admin.firestore.FieldValue.serverTimestamp(),
+    ...fields
+  };
+}
 
-    usersSnapshot.forEach(doc => {
-      const data = doc.data();
-      const totalSent = data.total_sent || 0;
-      if (totalSent > 0 && data.wallet_address) {
-        eligibleUsers.push({
-          walletAddress: data.wallet_address,
-          username: data.x_username || doc.id || "unknown",
-          totalSent: totalSent,
-          entries: Math.floor(totalSent / 10) + 1
-        });
-      }
-    });
+// Queue a reply to a command tweet. Returns false if replies are off or this
+// reply was already queued.
+async function queueReply(inReplyTo, kind, params) {
+  if (!repliesEnabled()) return false;
 
-    if (eligibleUsers.length === 0) {
-      return res.status(400).json({ success: false, message: "No eligible users" });
-    }
+  try {
+    await repliesCollection.doc(`${inReplyTo}:${kind}`).create(
+      replyDocument(inReplyTo, kind, renderReply(kind, params))
+    );
+    return true;
+  } catch (e) {
+    if (e.code === 6) return false; // ALREADY_EXISTS
+    console.error(`Could not queue ${kind} reply to ${inReplyTo}:`, e.message);
+    return false;
+  }
+}
 
-    // Build weighted pool
-    const pool = [];
-    eligibleUsers.forEach(user => {
-      for (let i = 0; i < user.entries; i++) {
-        pool.push(user);
-      }
-    });
+// Queue the "claimed" reply inside the transaction that completes a payment.
+// A payment completes only once, so set() can't queue it twice.
+function queueClaimedReply(tx, paymentId, payment) {
+  if (!repliesEnabled() || (payment.source && payment.source !== "x")) return;
+
+  const inReplyTo = payment.source_tweet_id || paymentId;
+  const text = renderReply("claimed", {
+    sender: payment.sender_username,
+    recipient: payment.recipient_username,
+    amount: formatPaymentAmount(payment)
+  });
+  tx.set(repliesCollection.doc(`${paymentId}:claimed`), replyDocument(inReplyTo, "claimed", text, { payment_id: paymentId }));
+}
 
-    // Random selection
-    const winner = pool[Math.floor(Math.random() * pool.length)];
+// Take a queued reply for posting by pushing its next attempt past the lease.
+// Returns its data, or null if another run took it or it was handled meanwhile.
+async function leaseReply(replyRef) {
+  return firestore.runTransaction(async (tx) => {
+    const doc = await tx.get(replyRef);
+    const reply = doc.data();
+    if (!doc.exists || reply.status !== "queued" || reply.next_attempt_at.toMillis() > Date.now()) {
+      return null;
+    }
+    tx.update(replyRef, { next_attempt_at: admin.firestore.Timestamp.fromMillis(Date.now() + REPLY_LEASE_MS) });
+    return reply;
+  });
+}
 
-    // Update lottery
-    await lotteriesCollection.doc(lotteryId).update({
-      status: "completed",
-      winner: {
-        username: winner.username,
-        walletAddress: winner.walletAddress,
-        entries: winner.entries
-      },
-      totalEntries: pool.length,
-      participantCount: eligibleUsers.length,
-      completedAt: admin.firestore.FieldValue.serverTimestamp()
+// Post one leased reply. Returns "sent", "failed", "retry" or "rate_limited".
+async function postReply(replyRef, reply) {
+  let response;
+  try {
+    response = await xClient.post(TWEETS_PATH, {
+      text: reply.text,
+      reply: { in_reply_to_tweet_id: reply.in_reply_to }
     });
+  } catch (e) {
+    response = { error: e.message };
+  }
 
-    console.log(`🎉 Lottery winner: @${winner.username} (${winner.walletAddress})`);
+  if (response.rateLimited) {
+    await replyRef.update({ next_attempt_at: admin.firestore.Timestamp.fromMillis(response.resetAt + 1000) });
+    return "rate_limited";
+  }
 
-    res.json({
-      success: true,
-      winner: winner,
-      totalEntries: pool.length,
-      participantCount: eligibleUsers.length
+  if (response.ok) {
+    await replyRef.update({
+      status: "sent",
+      reply_tweet_id: response.data?.data?.id || null,
+      last_error: null,
+      sent_at: admin.firestore.FieldValue.serverTimestamp()
     });
-  } catch (e) {
-    console.error("/api/lottery/draw error:", e);
-    res.status(500).json({ success: false, message: e.message });
+    return "sent";
   }
-});
 
-// ===== LOTTERY CLAIM =====
-app.post("/api/lottery/claim", async (req, res) => {
-  const { lotteryId, winnerWallet } = req.body;
+  const error = response.error || `X API ${response.status}: ${JSON.stringify(response.data)}`;
+  const attempts = (reply.attempts || 0) + 1;
+  // Other 4xx (deleted tweet, replies restricted, duplicate text) won't succeed on retry
+  const permanent = response.status >= 400 && response.status < 500;
 
-  if (!lotteryId || !winnerWallet) {
-    return res.status(400).json({ success: false, message: "Missing lotteryId or winnerWallet" });
+  if (permanent || attempts >= REPLY_MAX_ATTEMPTS) {
+    await replyRef.update({ status: "failed", attempts, last_error: error });
+    console.warn(`⚠️ Reply to ${reply.in_reply_to} (${reply.kind}) failed: ${error}`);
+    return "failed";
   }
 
-  if (!vaultKeypair) {
-    return res.status(500).json({ success: false, message: "Vault not configured for transfers" });
-  }
+  await replyRef.update({
+    attempts,
+    last_error: error,
+    next_attempt_at: admin.firestore.Timestamp.fromMillis(Date.now() + REPLY_RETRY_BASE_MS * 2 ** (attempts - 1))
+  });
+  return "retry";
+}
 
-  console.log(`🎰 Processing lottery claim: ${lotteryId} for ${winnerWallet}`);
+// Post due replies, oldest first, until the batch is done or X's write quota runs out
+async function runReplyQueue() {
+  if (!repliesEnabled() || replyQueueRunning) return;
+  replyQueueRunning = true;
 
+  const counts = { sent: 0, failed: 0, retry: 0, rate_limited: 0 };
   try {
-    // Get lottery from Firebase
-    const lotteriesCollection = firestore.collection("lotteries");
-    const lotteryDoc = await lotteriesCollection.doc(lotteryId).get();
+    const due = await repliesCollection
+      .where("status", "==", "queued")
+      .where("next_attempt_at", "<=", admin.firestore.Timestamp.now())
+      .orderBy("next_attempt_at")
+      .limit(REPLY_BATCH_SIZE)
+      .get();
 
-    if (!lotteryDoc.exists) {
-      return res.status(404).json({ success: false, message: "Lottery not found" });
-    }
+    for (const doc of due.docs) {
+      if (xClient.blockedUntil(TWEETS_PATH, "POST")) break;
 
-    const lottery = lotteryDoc.data();
+      const reply = await leaseReply(doc.ref);
+      if (!reply) continue;
 
-    // Validate lottery status and winner
-    if (lottery.status === 'claimed') {
-      return res.status(400).json({ success: false, message: "Prize already claimed" });
+      const outcome = await postReply(doc.ref, reply);
+      counts[outcome]++;
+      if (outcome === "rate_limited") break;
     }
 
-    if (lottery.status !== 'completed') {
-      return res.status(400).json({ success: false, message: "Lottery not yet drawn" });
+    if (due.size > 0) {
+      console.log(`✅ Reply queue: ${counts.sent} sent, ${counts.retry} to retry, ${counts.failed} failed${counts.rate_limited ? ", paused for rate limit" : ""}.`);
     }
+  } catch (e) {
+    console.error("Reply queue error:", e.message);
+  } finally {
+    replyQueueRunning = false;
+  }
+}
 
-    // Simplified winner verification
-    const storedWinnerWallet = (lottery.winner?.walletAddress || "").toLowerCase();
-    const providedWinnerWallet = (winnerWallet || "").toLowerCase();
-    const winnerUsername = (lottery.winner?.username || "").toLowerCase().replace(/^@/, "");
+// ===== SETTLEMENT RECONCILER =====
+// Walks recent vault transactions and makes sure every token transfer the vault
+// signed is reflected in Firestore. Repairs payments/lotteries whose status
+// update was lost and flags transfers with no matching record.
+const RECONCILE_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
+const RECONCILE_PAGE_SIZE = 100;
+const RECONCILE_INITIAL_PAGES = 10; // history read on the first run, before any checkpoint
+const UNSETTLED_PAYMENT_STATUSES = ["pending", "claiming", "failed"];
+
+// Signatures for an address newer than `until`, oldest first. With a
+// checkpoint every page back to it is read, so the checkpoint can move to
+// the newest signature without skipping any; without one only the last
+// RECONCILE_INITIAL_PAGES pages are.
+async function getSignaturesSince(address, until) {
+  const signatures = [];
+  let before;
+
+  for (let page = 0; until || page < RECONCILE_INITIAL_PAGES; page++) {
+    const batch = await solanaConnection.getSignaturesForAddress(address, {
+      limit: RECONCILE_PAGE_SIZE,
+      ...(before ? { before } : {}),
+      ...(until ? { until } : {})
+    });
+    signatures.push(...batch);
+    if (batch.length < RECONCILE_PAGE_SIZE) break;
+    before = batch[batch.length - 1].signature;
+  }
 
-    let isMatch = false;
+  return signatures.reverse();
+}
 
-    // Check 1: Direct wallet match (properly drawn lotteries)
-    if (storedWinnerWallet === providedWinnerWallet && storedWinnerWallet.length > 10) {
-      isMatch = true;
-      console.log(`✅ Direct wallet match`);
-    } else {
-      // Check 2: Username match (legacy bugged lotteries where handle was stored as wallet)
-      const handle = normalizeHandle(winnerUsername);
-      console.log(`🔍 No direct match. Fetching user doc from backend_users: "${handle}"`);
+// Transfers of supported tokens authorized by the vault in a parsed transaction
+function extractVaultTransfers(parsedTx, vaultAddress) {
+  return extractTokenTransfers(parsedTx).filter(t => t.authority === vaultAddress && TOKENS.getByMint(t.mint));
+}
 
-      // Fetch user from correct collection
-      const userDoc = await usersCollection.doc(handle).get();
+// Mark a payment completed from an on-chain transfer, if it isn't already
+async function repairPaymentSettlement(paymentRef, signature, recipientWallet) {
+  return firestore.runTransaction(async (tx) => {
+    const doc = await tx.get(paymentRef);
+    const payment = doc.data();
+    if (!doc.exists || payment.status === "completed") return false;
 
-      if (userDoc.exists) {
-        const userData = userDoc.data();
-        const storedWallet = (userData.wallet_address || userData.walletAddress || "").toLowerCase();
+    tx.update(paymentRef, {
+      status: "completed",
+      status_history: statusTransition(payment.status, "completed", "reconciled_from_chain"),
+      claimed_by: payment.claim_wallet || recipientWallet,
+      claimed_at: admin.firestore.FieldValue.serverTimestamp(),
+      tx_signature: signature,
+      claim_lease_expires_at: null,
+      reconciled_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+    applyClaimStats(tx, payment);
+    queueClaimedReply(tx, paymentRef.id, payment);
+    return true;
+  });
+}
 
-        console.log(`ℹ️ Doc found. Stored: "${storedWallet}", Provided: "${providedWinnerWallet}"`);
+// Does an unpaid prize match this transfer's recipient and amount?
+function prizeMatchesTransfer(prize, transfer) {
+  return prize.claimStatus !== "claimed" &&
+    prize.walletAddress === transfer.destinationOwner &&
+    transfer.mint === USDC.mint &&
+    prizeRawAmount(prize) === transfer.rawAmount;
+}
 
-        if (storedWallet === providedWinnerWallet) {
-          isMatch = true;
-          console.log(`✅ Verified! ${handle} claiming.`);
-        } else {
-          console.warn(`❌ Wallet mismatch`);
-        }
-      } else {
-        console.warn(`❌ No doc found for: ${handle}`);
-      }
-    }
+// Mark a lottery prize claimed from an on-chain prize transfer, if it isn't already
+async function repairLotterySettlement(lotteryRef, signature, transfer) {
+  return firestore.runTransaction(async (tx) => {
+    const doc = await tx.get(lotteryRef);
+    if (!doc.exists) return false;
 
-    if (!lottery.winner || !isMatch) {
-      console.warn(`❌ Claim rejected. Winner: ${lottery.winner?.walletAddress}, Provided: ${winnerWallet}`);
-      return res.status(403).json({
-        success: false,
-        message: "Not the winner of this lottery"
-      });
+    const winners = getLotteryWinners(doc.data()).map(w => ({ ...w }));
+    let index = winners.findIndex(w => w.claimTxSignature === signature);
+    if (index === -1) {
+      index = winners.findIndex(w => prizeMatchesTransfer(w, transfer));
     }
+    if (index === -1 || winners[index].claimStatus === "claimed") return false;
+
+    winners[index] = {
+      ...winners[index],
+      claimStatus: "claimed",
+      claimTxSignature: signature,
+      claimedAt: admin.firestore.Timestamp.now(),
+      reconciledAt: admin.firestore.Timestamp.now()
+    };
+    tx.update(lotteryRef, lotteryWinnersUpdate(winners));
+    return true;
+  });
+}
 
-    const prizeAmount = lottery.prizeAmount || 0;
-    if (prizeAmount <= 0) {
-      return res.status(400).json({ success: false, message: "Invalid prize amount" });
-    }
+// Find the payment or lottery a transfer belongs to and repair it if needed.
+// Returns { type, id, repaired } or null when nothing matches.
+async function matchVaultTransfer(signature, transfer, vaultAta) {
+  // 1. Stored signature
+  const bySigPayment = await paymentsCollection.where("tx_signature", "==", signature).limit(1).get();
+  if (!bySigPayment.empty) {
+    const doc = bySigPayment.docs[0];
+    const repaired = await repairPaymentSettlement(doc.ref, signature, transfer.destinationOwner);
+    return { type: "payment", id: doc.id, repaired };
+  }
 
-    // Convert $ to USDC (6 decimals)
-    const usdcAmount = Math.floor(prizeAmount * 1000000);
+  // Escrow pulls and refunds are bookkept by runEscrowMaintenance
+  for (const field of ["escrow_tx_signature", "refund_tx_signature"]) {
+    const byEscrowSig = await paymentsCollection.where(field, "==", signature).limit(1).get();
+    if (!byEscrowSig.empty) {
+      return { type: "escrow", id: byEscrowSig.docs[0].id, repaired: false };
+    }
+  }
 
-    // Get token accounts
-    const vaultPubkey = vaultKeypair.publicKey;
-    const recipientPubkey = new PublicKey(winnerWallet);
-    const usdcMintPubkey = new PublicKey(USDC_MINT);
+  const bySigLottery = await lotteriesCollection.where("claimTxSignatures", "array-contains", signature).limit(1).get();
+  const bySigLegacyLottery = bySigLottery.empty
+    ? await lotteriesCollection.where("claimTxSignature", "==", signature).limit(1).get()
+    : bySigLottery;
+  if (!bySigLegacyLottery.empty) {
+    const doc = bySigLegacyLottery.docs[0];
+    const repaired = await repairLotterySettlement(doc.ref, signature, transfer);
+    return { type: "lottery", id: doc.id, repaired };
+  }
 
-    const vaultAta = await getAssociatedTokenAddress(usdcMintPubkey, vaultPubkey);
-    const recipientAta = await getAssociatedTokenAddress(usdcMintPubkey, recipientPubkey);
+  // 2. Lottery prize paid out of the vault ATA to a drawn winner
+  if (transfer.source === vaultAta && transfer.destinationOwner) {
+    const drawn = await lotteriesCollection
+      .where("status", "==", "completed")
+      .where("winnerWallets", "array-contains", transfer.destinationOwner)
+      .get();
+    const legacyDrawn = await lotteriesCollection
+      .where("status", "==", "completed")
+      .where("winner.walletAddress", "==", transfer.destinationOwner)
+      .get();
 
-    // Check vault balance
-    try {
-      const vaultAccount = await getAccount(solanaConnection, vaultAta);
-      if (Number(vaultAccount.amount) < usdcAmount) {
-        console.error("❌ Insufficient vault balance for lottery claim");
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient vault balance. Need ${prizeAmount} USDC`
-        });
-      }
-    } catch (e) {
-      console.error("❌ Error checking vault balance:", e);
-      return res.status(500).json({ success: false, message: "Could not verify vault balance" });
+    const lotteryDoc = [...drawn.docs, ...legacyDrawn.docs]
+      .find(d => getLotteryWinners(d.data()).some(w => prizeMatchesTransfer(w, transfer)));
+    if (lotteryDoc) {
+      const repaired = await repairLotterySettlement(lotteryDoc.ref, signature, transfer);
+      return { type: "lottery", id: lotteryDoc.id, repaired };
     }
+  }
 
-    // Build transfer transaction
-    const transaction = new Transaction();
-
-    // Add priority fee for faster confirmation
-    transaction.add(
-      ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 50000 })
-    );
+  // 3. Payment between the same parties for the same token and amount that is still unsettled
+  if (transfer.sourceOwner) {
+    const senders = await usersCollection.where("wallet_address", "==", transfer.sourceOwner).get();
+
+    for (const senderDoc of senders.docs) {
+      const unsettled = await paymentsCollection
+        .where("sender_username", "==", senderDoc.id)
+        .where("status", "in", UNSETTLED_PAYMENT_STATUSES)
+        .get();
+
+      const candidates = unsettled.docs
+        .filter(d => TOKENS.forRecord(d.data())?.mint === transfer.mint && paymentRawAmount(d.data()) === transfer.rawAmount)
+        .sort((a, b) => (a.data().created_at?.toMillis?.() || 0) - (b.data().created_at?.toMillis?.() || 0));
+
+      for (const candidate of candidates) {
+        const payment = candidate.data();
+        if (payment.claim_wallet === transfer.destinationOwner) {
+          const repaired = await repairPaymentSettlement(candidate.ref, signature, transfer.destinationOwner);
+          return { type: "payment", id: candidate.id, repaired };
+        }
 
-    // Check if recipient ATA exists, if not add instruction to create it
-    try {
-      await getAccount(solanaConnection, recipientAta);
-      console.log("ℹ️ Recipient USDC ATA already exists.");
-    } catch (e) {
-      if (e.name === "TokenAccountNotFoundError" || e.message?.includes("could not find account")) {
-        console.log("💡 Creating recipient USDC ATA...");
-        transaction.add(
-          createAssociatedTokenAccountInstruction(
-            vaultPubkey,      // payer
-            recipientAta,     // ata
-            recipientPubkey,   // owner
-            usdcMintPubkey    // mint
-          )
-        );
-      } else {
-        throw e; // Rethrow other errors
+        const recipientDoc = await usersCollection.doc(payment.recipient_username).get();
+        if (recipientDoc.exists && recipientDoc.data().wallet_address === transfer.destinationOwner) {
+          const repaired = await repairPaymentSettlement(candidate.ref, signature, transfer.destinationOwner);
+          return { type: "payment", id: candidate.id, repaired };
+        }
       }
     }
+  }
 
-    // Add transfer instruction
-    transaction.add(
-      createTransferInstruction(
-        vaultAta,
-        recipientAta,
-        vaultPubkey,
-        usdcAmount,
-        [],
-        TOKEN_PROGRAM_ID
-      )
-    );
-
-    // Get latest blockhash
-    const { blockhash, lastValidBlockHeight } = await solanaConnection.getLatestBlockhash("confirmed");
-    transaction.recentBlockhash = blockhash;
-    transaction.feePayer = vaultPubkey;
-
-    // Sign and send
-    transaction.sign(vaultKeypair);
-    const signature = await solanaConnection.sendRawTransaction(transaction.serialize(), {
-      skipPreflight: false,
-      preflightCommitment: "confirmed"
-    });
-
-    console.log(`📤 Lottery prize transfer sent: ${signature}`);
-
-    // Confirm transaction
-    await solanaConnection.confirmTransaction({
-      signature,
-      blockhash,
-      lastValidBlockHeight
-    }, "confirmed");
+  return null;
+}
 
-    console.log(`✅ Lottery prize confirmed: ${signature}`);
+async function runSettlementReconciliation() {
+  if (!vaultKeypair) {
+    console.warn("⚠️ Vault keypair not loaded; skipping settlement reconciliation");
+    return null;
+  }
 
-    // Update lottery status in Firebase
-    await lotteriesCollection.doc(lotteryId).update({
-      status: 'claimed',
-      claimedAt: admin.firestore.FieldValue.serverTimestamp(),
-      claimTxSignature: signature
-    });
+  const vaultAddress = vaultKeypair.publicKey.toBase58();
+  const summary = { checked: 0, matched: 0, repaired: 0, flagged: 0 };
 
-    console.log(`🎉 Lottery ${lotteryId} claimed successfully!`);
+  try {
+    const mintInfo = await getMintInfo(USDC_MINT);
+    const vaultAta = (await getTokenAddress(mintInfo, vaultKeypair.publicKey)).toBase58();
 
-    res.json({
-      success: true,
-      txSignature: signature,
-      amount: prizeAmount,
-      message: `Successfully transferred $${prizeAmount} USDC`
-    });
+    // The vault signs every claim as delegate and pays lottery prizes from its USDC ATA
+    const seen = new Set();
+    const pending = [];
+    const checkpoints = {};
 
-  } catch (e) {
-    console.error("❌ Lottery claim error:", e);
-    res.status(500).json({ success: false, message: e.message });
-  }
-});
+    for (const address of [vaultAddress, vaultAta]) {
+      const checkpointKey = `reconcile_checkpoint_${address}`;
+      const until = await getMeta(checkpointKey);
+      const signatures = await getSignaturesSince(new PublicKey(address), until);
 
-app.get("/api/rescan", async (req, res) => {
-  await runScheduledTweetCheck();
-  res.json({ success: true, message: "Manual rescan triggered" });
-});
+      if (signatures.length > 0) {
+        checkpoints[checkpointKey] = signatures[signatures.length - 1].signature;
+      }
 
-// ===== TWITTER SCANNER =====
-async function runScheduledTweetCheck() {
-  if (!X_BEARER_TOKEN) {
-    console.warn("⚠️ No X_BEARER_TOKEN set; skipping scan");
-    return;
-  }
+      for (const sig of signatures) {
+        if (sig.err || seen.has(sig.signature)) continue;
+        seen.add(sig.signature);
+        pending.push(sig.signature);
+      }
+    }
 
-  console.log(`🔍 Checking mentions for @${BOT_HANDLE}...`);
-  try {
-    const lastSeen = await getMeta("last_seen_tweet_id");
+    for (const signature of pending) {
+      const parsedTx = await solanaConnection.getParsedTransaction(signature, {
+        commitment: "confirmed",
+        maxSupportedTransactionVersion: 0
+      });
+      if (!parsedTx || parsedTx.meta?.err) continue;
 
-    const q = encodeURIComponent(`@${BOT_HANDLE} send -is:retweet -is:quote`);
+      const transfers = extractVaultTransfers(parsedTx, vaultAddress);
 
-    const url =
-      `https://api.twitter.com/2/tweets/search/recent?query=${q}` +
-      `&tweet.fields=author_id,created_at,text,referenced_tweets` +
-      `&expansions=author_id` +
-      `&user.fields=username` +
-      (lastSeen ? `&since_id=${lastSeen}` : "");
+      for (const [index, transfer] of transfers.entries()) {
+        summary.checked++;
+        const match = await matchVaultTransfer(signature, transfer, vaultAta);
 
-    const response = await fetch(url, {
-      headers: { Authorization: `Bearer ${X_BEARER_TOKEN}` }
-    });
+        if (match) {
+          summary.matched++;
+          if (match.repaired) {
+            summary.repaired++;
+            console.log(`🩹 Reconciled ${match.type} ${match.id} from TX ${signature.slice(0, 20)}...`);
+          }
+          continue;
+        }
 
-    if (response.status === 429) {
-      console.warn("⚠️ Rate limit reached (429 Too Many Requests). Skipping this cycle.");
-      return;
+        summary.flagged++;
+        console.warn(`🚩 Unmatched vault transfer in TX ${signature}`);
+        await reconciliationCollection.doc(`${signature}_${index}`).set({
+          signature,
+          source: transfer.source,
+          source_owner: transfer.sourceOwner,
+          destination: transfer.destination,
+          destination_owner: transfer.destinationOwner,
+          token: TOKENS.getByMint(transfer.mint).symbol,
+          mint: transfer.mint,
+          amount: fromBaseUnits(transfer.rawAmount, TOKENS.getByMint(transfer.mint).decimals),
+          raw_amount: transfer.rawAmount,
+          block_time: parsedTx.blockTime ? new Date(parsedTx.blockTime * 1000) : null,
+          resolved: false,
+          flagged_at: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+      }
     }
 
-    if (!response.ok) {
-      const txt = await response.text();
-      throw new Error(`X API error: ${txt}`);
+    // Only advance checkpoints once every signature has been processed
+    for (const [key, signature] of Object.entries(checkpoints)) {
+      await upsertMeta(key, signature);
     }
 
-    const data = await response.json();
-    if (!data.data || data.data.length === 0) {
-      console.log("No mentions found.");
-      return;
-    }
+    await metaCollection.doc("reconcile_last_run").set({
+      value: new Date().toISOString(),
+      ...summary
+    });
 
-    const users = {};
-    if (data.includes && data.includes.users) {
-      for (const u of data.includes.users) {
-        users[u.id] = u.username.toLowerCase();
-      }
-    }
+    console.log(`✅ Reconciliation complete (${summary.checked} transfers, ${summary.repaired} repaired, ${summary.flagged} flagged).`);
+    return summary;
+  } catch (e) {
+    console.error("Reconciliation error:", e.message);
+    return null;
+  }
+}
 
-    let newestId = lastSeen;
-    for (const tweet of data.data) {
-      const text = (tweet.text || "").toLowerCase();
+// ===== DELEGATION SYNC =====
+// Refreshes stored delegation state from chain for senders with payments still
+// to settle, so revoked or partly spent approvals show up without a new
+// /api/authorize call, then rebalances their committed payments.
+const DELEGATION_SYNC_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+let delegationSyncRunning = false;
 
-      if (text.startsWith("rt ") || text.includes(" rt @") || text.includes("\nrt ")) {
-        console.log(`⏭ Skipping manual RT-style tweet ${tweet.id}`);
-        continue;
-      }
+async function runDelegationSync() {
+  if (delegationSyncRunning) return;
+  delegationSyncRunning = true;
 
-      if (tweet.referenced_tweets && Array.isArray(tweet.referenced_tweets)) {
-        const isRef = tweet.referenced_tweets.some(r => r.type === "retweeted" || r.type === "quoted");
-        if (isRef) {
-          console.log(`⏭ Skipping retweet/quote ${tweet.id}`);
-          continue;
+  try {
+    const outstanding = await paymentsCollection
+      .where("status", "in", [...UNSETTLED_PAYMENT_STATUSES, "over_committed"])
+      .get();
+
+    // sender → tokens they have payments outstanding in (USDC is always synced)
+    const senders = new Map();
+    for (const doc of outstanding.docs) {
+      const payment = doc.data();
+      if (!payment.sender_username) continue;
+      if (!senders.has(payment.sender_username)) senders.set(payment.sender_username, new Set([USDC]));
+      const token = TOKENS.forRecord(payment);
+      if (token) senders.get(payment.sender_username).add(token);
+    }
+    let changed = 0;
+
+    for (const [handle, tokens] of senders) {
+      const userRef = usersCollection.doc(handle);
+      const userDoc = await userRef.get();
+      const user = userDoc.data();
+      if (!user?.wallet_address) continue;
+
+      const fundStatuses = {};
+      let fields = {};
+      for (const token of tokens) {
+        const fundStatus = await getSenderFundStatus(user.wallet_address, token);
+        if (fundStatus.error) continue;
+
+        const previous = user.delegations?.[token.symbol] ||
+          (token === USDC ? { is_delegated: user.is_delegated, amount: user.delegation_amount, amount_raw: user.delegation_amount_raw } : {});
+        const previousRaw = Number.isSafeInteger(previous.amount_raw)
+          ? previous.amount_raw
+          : toBaseUnits(previous.amount || 0, token.decimals);
+        if (!!previous.is_delegated !== fundStatus.authorized || previousRaw !== fundStatus.rawDelegated) {
+          changed++;
+          console.log(`🔐 ${token.symbol} delegation changed for @${handle}: ${previous.amount || 0} → ${fundStatus.delegatedAmount}${fundStatus.authorized ? "" : " (revoked)"}`);
         }
-      }
 
-      const parsed = parsePaymentCommand(tweet.text || "");
-      if (parsed && parsed.recipient && Number.isFinite(parsed.amount)) {
-        const sender = users[tweet.author_id] || tweet.author_id || "unknown";
-        await recordPayment(sender, parsed.recipient, parsed.amount, tweet.id);
+        fundStatuses[token.symbol] = fundStatus;
+        fields = { ...fields, ...delegationFields(fundStatus) };
       }
+      if (Object.keys(fundStatuses).length === 0) continue;
 
-      if (!newestId || BigInt(tweet.id) > BigInt(newestId)) {
-        newestId = tweet.id;
-      }
+      await userRef.update(fields);
+      await rebalanceSenderCommitments(handle, fundStatuses);
     }
 
-    if (newestId) await upsertMeta("last_seen_tweet_id", newestId);
-    console.log(`✅ Scan complete (${data.data.length} tweets checked).`);
+    console.log(`✅ Delegation sync complete (${senders.size} senders, ${changed} changed).`);
   } catch (e) {
-    console.error("X scan error:", e.message);
+    console.error("Delegation sync error:", e.message);
+  } finally {
+    delegationSyncRunning = false;
   }
 }
 
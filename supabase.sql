@@ -1,8 +1,55 @@
+// Amounts are integer USDC base units (balance_raw, amount_raw); the numeric
+// balance_usdc / amount columns are kept as exact decimal strings for older
+// readers. Existing databases need the raw columns first (safe to re-run):
+//
+//   alter table balances add column if not exists balance_raw bigint not null default 0;
+//   update balances set balance_raw = round(balance_usdc * 1000000)
+//     where balance_raw = 0 and balance_usdc <> 0;
+//   alter table balances add constraint balances_raw_nonnegative check (balance_raw >= 0);
+//   alter table ledger add column if not exists amount_raw bigint;
+//   update ledger set amount_raw = round(amount * 1000000) where amount_raw is null;
+//   alter table ledger alter column amount_raw set not null;
+//
+// Deposits are credited by one function, so the replay check, the ledger row
+// and the balance change commit together; the unique index turns a second
+// credit of the same signature into a no-op (the function returns null):
+//
+//   create unique index if not exists ledger_deposit_signature
+//     on ledger ((meta->>'signature')) where kind = 'deposit';
+//
+//   create or replace function credit_deposit(p_handle text, p_signature text, p_amount_raw bigint, p_amount numeric)
+//   returns jsonb language plpgsql as $$
+//   declare
+//     v_row ledger;
+//     v_balance bigint;
+//   begin
+//     insert into ledger (kind, from_handle, to_handle, amount, amount_raw, meta)
+//       values ('deposit', null, p_handle, p_amount, p_amount_raw, jsonb_build_object('signature', p_signature))
+//       on conflict do nothing
+//       returning * into v_row;
+//     if not found then return null; end if;
+//
+//     insert into balances (handle, balance_raw, balance_usdc)
+//       values (p_handle, p_amount_raw, p_amount)
+//       on conflict (handle) do update
+//         set balance_raw = balances.balance_raw + excluded.balance_raw,
+//             balance_usdc = (balances.balance_raw + excluded.balance_raw) / 1000000.0
+//       returning balance_raw into v_balance;
+//
+//     return jsonb_build_object('ledger', to_jsonb(v_row), 'balance_raw', v_balance);
+//   end $$;
+//
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
 import fetch from "node-fetch";
 import { createClient } from "@supabase/supabase-js";
+import { Connection, PublicKey } from "@solana/web3.js";
+import { getAssociatedTokenAddressSync, unpackMint } from "@solana/spl-token";
+import { verifyDepositTransaction } from "./lib/tokenTransfers.js";
+import { parsePaymentCommand } from "./lib/paymentCommand.js";
+import { commandId, fromXWebhookTweet } from "./lib/socialCommand.js";
+import { parseDecimalAmount, fromBaseUnits } from "./lib/tokenRegistry.js";
 
 dotenv.config();
 
@@ -12,17 +59,34 @@ const {
   SUPABASE_SERVICE_ROLE,
   ALLOWED_ORIGINS = "",
   N8N_WEBHOOK_URL = "",
-  FRONTEND_URL = ""
+  FRONTEND_URL = "",
+  BOT_HANDLE = "bot_wassy",
+  SOLANA_RPC,
+  USDC_MINT = "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v",
+  VAULT_ADDRESS = "Hu7wMzbwR5RSTXk2bF5CEDhdSAN1mzX9vTiqbQJWESxE",
+  MAX_PAYMENT_AMOUNT = "10000"
 } = process.env;
 
+const USDC_DECIMALS = 6;
+const MAX_PAYMENT_RAW = parseDecimalAmount(MAX_PAYMENT_AMOUNT, USDC_DECIMALS);
+if (!MAX_PAYMENT_RAW) {
+  throw new Error(`Invalid MAX_PAYMENT_AMOUNT: ${MAX_PAYMENT_AMOUNT}`);
+}
+
 if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE) {
   throw new Error("Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE");
 }
 
+if (!SOLANA_RPC) {
+  throw new Error("Missing SOLANA_RPC (needed to verify deposits)");
+}
+
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE, {
   auth: { persistSession: false }
 });
 
+const solana = new Connection(SOLANA_RPC, "confirmed");
+
 const app = express();
 
 // ---- CORS ----
@@ -39,6 +103,7 @@ app.use(express.json());
 
 // ---- helpers ----
 const norm = (h) => (h || "").replace(/^@/, "").trim().toLowerCase();
+const usdc = (raw) => fromBaseUnits(raw, USDC_DECIMALS);
 
 async function ensureProfile(handle, { wallet, profile_image } = {}) {
   handle = norm(handle);
@@ -56,7 +121,7 @@ async function ensureProfile(handle, { wallet, profile_image } = {}) {
 
   const { data: balances, error: bErr } = await supabase
     .from("balances")
-    .upsert({ handle, balance_usdc: 0 }, { onConflict: "handle" })
+    .upsert({ handle, balance_usdc: "0", balance_raw: 0 }, { onConflict: "handle", ignoreDuplicates: true })
     .select("*");
 
   if (bErr && bErr.code !== "23505") throw bErr;
@@ -64,6 +129,7 @@ async function ensureProfile(handle, { wallet, profile_image } = {}) {
   return p;
 }
 
+// balance in USDC base units
 async function getBalance(handle) {
   handle = norm(handle);
   const { data, error } = await supabase
@@ -72,14 +138,15 @@ async function getBalance(handle) {
     .eq("handle", handle)
     .maybeSingle();
   if (error) throw error;
-  return data ? Number(data.balance_usdc) : 0;
+  return data ? Number(data.balance_raw) : 0;
 }
 
-async function setBalance(handle, value) {
+async function setBalance(handle, raw) {
   handle = norm(handle);
+  if (!Number.isSafeInteger(raw) || raw < 0) throw new Error(`Invalid balance for ${handle}: ${raw}`);
   const { error } = await supabase
     .from("balances")
-    .upsert({ handle, balance_usdc: Number(value) }, { onConflict: "handle" });
+    .upsert({ handle, balance_raw: raw, balance_usdc: usdc(raw) }, { onConflict: "handle" });
   if (error) throw error;
 }
 
@@ -88,7 +155,11 @@ async function addLedger(row) {
   if (error) throw error;
 
   const d = Array.isArray(data) ? data[0] : data;
+  await notifyLedger(d);
+  return d;
+}
 
+async function notifyLedger(d) {
   if (N8N_WEBHOOK_URL) {
     try {
       await fetch(N8N_WEBHOOK_URL, {
@@ -100,7 +171,19 @@ async function addLedger(row) {
       console.warn("n8n notify failed:", e.message);
     }
   }
-  return d;
+}
+
+// vault token account + decimals for the deposit mint (SPL Token or Token-2022)
+let depositTarget = null;
+async function getDepositTarget() {
+  if (depositTarget) return depositTarget;
+  const mint = new PublicKey(USDC_MINT);
+  const info = await solana.getAccountInfo(mint);
+  if (!info) throw new Error(`Mint ${USDC_MINT} not found`);
+  const { decimals } = unpackMint(mint, info, info.owner);
+  const vaultTokenAccount = getAssociatedTokenAddressSync(mint, new PublicKey(VAULT_ADDRESS), false, info.owner).toBase58();
+  depositTarget = { vaultTokenAccount, decimals };
+  return depositTarget;
 }
 
 // ---- routes ----
@@ -135,60 +218,108 @@ app.get("/api/profile", async (req, res) => {
     if (!p) return res.json({ success: false, message: "not found" });
 
     const bal = await getBalance(handle);
-    res.json({ success: true, profile: p, balance: bal });
+    res.json({ success: true, profile: p, balance: usdc(bal), balance_raw: bal });
   } catch (e) {
     console.error(e);
     res.status(500).json({ success: false, message: "profile failed", error: e.message });
   }
 });
 
-// deposit (mock)
+// deposit - credited from a confirmed on-chain USDC transfer into the vault, once per signature
 app.post("/api/deposit", async (req, res) => {
   try {
-    let { handle, amount } = req.body || {};
-    if (!handle || !amount) return res.status(400).json({ success: false, message: "handle and amount required" });
+    let { handle, signature } = req.body || {};
+    if (!handle || !signature) return res.status(400).json({ success: false, message: "handle and signature required" });
 
     handle = norm(handle);
-    amount = Number(amount);
-    if (!(amount > 0)) return res.status(400).json({ success: false, message: "amount must be > 0" });
+    const { data: p, error: pErr } = await supabase.from("profiles").select("*").eq("handle", handle).maybeSingle();
+    if (pErr) throw pErr;
+    if (!p?.wallet) return res.status(400).json({ success: false, message: "register a wallet first" });
 
-    await ensureProfile(handle);
-    const bal = await getBalance(handle);
-    await setBalance(handle, bal + amount);
+    const { data: seen, error: sErr } = await supabase
+      .from("ledger")
+      .select("id")
+      .eq("kind", "deposit")
+      .eq("meta->>signature", signature)
+      .limit(1);
+    if (sErr) throw sErr;
+    if (seen && seen.length > 0) return res.status(409).json({ success: false, message: "deposit already recorded" });
+
+    const { vaultTokenAccount, decimals } = await getDepositTarget();
+    const parsedTx = await solana.getParsedTransaction(signature, {
+      commitment: "confirmed",
+      maxSupportedTransactionVersion: 0
+    });
+
+    const verified = verifyDepositTransaction(parsedTx, { mint: USDC_MINT, vaultTokenAccount, wallet: p.wallet });
+    if (verified.error) return res.status(400).json({ success: false, message: verified.error });
+
+    if (decimals !== USDC_DECIMALS) throw new Error(`Deposit mint has ${decimals} decimals, expected ${USDC_DECIMALS}`);
+    const amountRaw = verified.rawAmount;
+
+    // ledger row and balance change in one transaction (see credit_deposit above);
+    // null means a concurrent request already credited this signature
+    const { data: credited, error: cErr } = await supabase.rpc("credit_deposit", {
+      p_handle: handle,
+      p_signature: signature,
+      p_amount_raw: amountRaw,
+      p_amount: usdc(amountRaw)
+    });
+    if (cErr) throw cErr;
+    if (!credited) return res.status(409).json({ success: false, message: "deposit already recorded" });
+
+    const bal = Number(credited.balance_raw);
+    await notifyLedger(credited.ledger);
 
-    const row = await addLedger({ kind: "deposit", from_handle: null, to_handle: handle, amount, meta: {} });
-    res.json({ success: true, new_balance: bal + amount, ledger: row });
+    res.json({ success: true, new_balance: usdc(bal), new_balance_raw: bal, ledger: credited.ledger });
   } catch (e) {
     console.error(e);
     res.status(500).json({ success: false, message: "deposit failed", error: e.message });
   }
 });
 
-// payment
+// payment - amount is a USDC decimal string (or number) with at most 6 decimals
 app.post("/api/payment", async (req, res) => {
   try {
-    let { from, to, amount } = req.body || {};
+    let { from, to, amount, memo = null } = req.body || {};
     if (!from || !to || !amount) return res.status(400).json({ success: false, message: "from, to, amount required" });
 
     from = norm(from);
     to = norm(to);
-    amount = Number(amount);
-    if (!(amount > 0)) return res.status(400).json({ success: false, message: "amount must be > 0" });
+    const amountRaw = parseDecimalAmount(amount, USDC_DECIMALS);
+    if (!(amountRaw > 0)) {
+      return res.status(400).json({ success: false, message: `amount must be > 0 with at most ${USDC_DECIMALS} decimals` });
+    }
+    if (amountRaw > MAX_PAYMENT_RAW) {
+      return res.status(400).json({ success: false, message: `amount must be at most ${usdc(MAX_PAYMENT_RAW)}` });
+    }
     if (from === to) return res.status(400).json({ success: false, message: "cannot send to self" });
 
     await ensureProfile(from);
     await ensureProfile(to);
 
     const balFrom = await getBalance(from);
-    if (balFrom < amount) return res.status(402).json({ success: false, message: "insufficient funds" });
+    if (balFrom < amountRaw) return res.status(402).json({ success: false, message: "insufficient funds" });
 
     const balTo = await getBalance(to);
 
-    await setBalance(from, balFrom - amount);
-    await setBalance(to, balTo + amount);
+    await setBalance(from, balFrom - amountRaw);
+    await setBalance(to, balTo + amountRaw);
 
-    const row = await addLedger({ kind: "send", from_handle: from, to_handle: to, amount, meta: {} });
-    res.json({ success: true, ledger: row, balances: { [from]: balFrom - amount, [to]: balTo + amount } });
+    const row = await addLedger({
+      kind: "send",
+      from_handle: from,
+      to_handle: to,
+      amount: usdc(amountRaw),
+      amount_raw: amountRaw,
+      meta: memo ? { memo } : {}
+    });
+    res.json({
+      success: true,
+      ledger: row,
+      balances: { [from]: usdc(balFrom - amountRaw), [to]: usdc(balTo + amountRaw) },
+      balances_raw: { [from]: balFrom - amountRaw, [to]: balTo + amountRaw }
+    });
   } catch (e) {
     console.error(e);
     res.status(500).json({ success: false, message: "payment failed", error: e.message });
@@ -210,7 +341,7 @@ app.get("/api/payments", async (req, res) => {
 
     if (error) throw error;
     const bal = await getBalance(handle);
-    res.json({ success: true, balance: bal, items: data });
+    res.json({ success: true, balance: usdc(bal), balance_raw: bal, items: data });
   } catch (e) {
     console.error(e);
     res.status(500).json({ success: false, message: "list failed", error: e.message });
@@ -218,27 +349,72 @@ app.get("/api/payments", async (req, res) => {
 });
 
 // X webhook parser
-app.post("/api/handleTweet", async (req, res) => {
-  try {
-    const { tweet_id, text, sender_handle } = req.body || {};
-    if (!tweet_id || !text || !sender_handle)
-      return res.status(400).json({ success: false, message: "tweet_id, text, sender_handle required" });
-
-    const m = text.match(/send\s*@(\w+)\s*\$?([\d.]+)/i);
-    if (!m) return res.json({ success: false, message: "no command" });
+// n8n relays either an Account Activity delivery ({ tweet_create_events })
+// or the flat { tweet_id, text, sender_handle } it has always sent. Both go
+// through the social-command adapter, so commands are read as server.js
+// reads them.
+function relayedCommands(body = {}) {
+  if (Array.isArray(body.tweet_create_events)) {
+    return body.tweet_create_events.map(fromXWebhookTweet).filter(Boolean);
+  }
 
-    const to = norm(m[1]);
-    const amount = Number(m[2]);
-    const from = norm(sender_handle);
+  const { tweet_id, text, sender_handle, sender_id, in_reply_to_status_id, in_reply_to_user_id, in_reply_to_handle } = body;
+  if (!tweet_id || !text || !sender_handle) return [];
+
+  const command = fromXWebhookTweet({
+    id_str: String(tweet_id),
+    text,
+    user: { id_str: sender_id ? String(sender_id) : null, screen_name: norm(sender_handle) },
+    in_reply_to_status_id_str: in_reply_to_status_id ? String(in_reply_to_status_id) : null,
+    in_reply_to_user_id_str: in_reply_to_user_id ? String(in_reply_to_user_id) : null,
+    in_reply_to_screen_name: in_reply_to_handle ? norm(in_reply_to_handle) : null
+  });
+  return command ? [command] : [];
+}
 
-    const resp = await fetch(`${req.protocol}://${req.get("host")}/api/payment`, {
-      method: "POST",
-      headers: { "content-type": "application/json" },
-      body: JSON.stringify({ from, to, amount })
-    });
+app.post("/api/handleTweet", async (req, res) => {
+  try {
+    const commands = relayedCommands(req.body);
+    if (!commands.length)
+      return res.status(400).json({ success: false, message: "tweet_create_events or tweet_id, text, sender_handle required" });
+
+    const botHandle = norm(BOT_HANDLE);
+    const results = [];
+
+    for (const command of commands) {
+      const from = command.author.handle;
+      if (!from || from === botHandle || command.isRepost) {
+        results.push({ tweet_id: commandId(command), success: false, reason: "ignored" });
+        continue;
+      }
+
+      const tipTarget = command.replyTo?.author?.handle;
+      const parsed = parsePaymentCommand(command.text, {
+        botHandle,
+        sender: from,
+        replyToHandle: tipTarget && tipTarget !== botHandle ? tipTarget : null,
+        maxAmounts: { USDC: MAX_PAYMENT_RAW }
+      });
+      if (!parsed.ok) {
+        results.push({ tweet_id: commandId(command), success: false, reason: parsed.reason, message: parsed.message });
+        continue;
+      }
+
+      const relayed = [];
+      for (const recipient of parsed.recipients) {
+        const resp = await fetch(`${req.protocol}://${req.get("host")}/api/payment`, {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify({ from, to: recipient.handle, amount: recipient.amount, memo: parsed.memo })
+        });
+        relayed.push(await resp.json());
+      }
+      results.push({ tweet_id: commandId(command), success: true, mode: parsed.mode, memo: parsed.memo, relayed });
+    }
 
-    const payload = await resp.json();
-    res.json({ success: true, relayed: payload });
+    // A single relayed tweet keeps the response shape n8n already reads
+    if (results.length === 1) return res.json(results[0]);
+    res.json({ success: true, results });
   } catch (e) {
     console.error(e);
     res.status(500).json({ success: false, message: "relay failed", error: e.message });
@@ -0,0 +1,52 @@
+// test/adminAuth.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAdminAuth } from "../middleware/adminAuth.js";
+
+function signedRequest(signature, timestamp = Date.now()) {
+  return {
+    method: "POST",
+    originalUrl: "/api/admin/lottery/draw",
+    rawBody: "{}",
+    body: {},
+    headers: { "x-admin-wallet": "AdminWallet", "x-admin-timestamp": String(timestamp), "x-admin-signature": signature }
+  };
+}
+
+// Runs the middleware and reports the status it responded with, or "next"
+function run(requireAdmin, req) {
+  let outcome = null;
+  const res = {
+    statusCode: 200,
+    on() {},
+    status(code) { outcome = code; return this; },
+    json() { return this; }
+  };
+  requireAdmin("operator")(req, res, () => { outcome = "next"; });
+  return outcome;
+}
+
+test("a wallet signature is accepted once", () => {
+  const requireAdmin = createAdminAuth({
+    wallets: new Map([["AdminWallet", "operator"]]),
+    apiKeys: new Map(),
+    verifySignature: () => true,
+    audit: () => {}
+  });
+
+  const timestamp = Date.now();
+  assert.equal(run(requireAdmin, signedRequest("sig-1", timestamp)), "next");
+  assert.equal(run(requireAdmin, signedRequest("sig-1", timestamp)), 401);
+  assert.equal(run(requireAdmin, signedRequest("sig-2", timestamp)), "next");
+});
+
+test("signatures outside the clock-skew window are rejected", () => {
+  const requireAdmin = createAdminAuth({
+    wallets: new Map([["AdminWallet", "operator"]]),
+    apiKeys: new Map(),
+    verifySignature: () => true,
+    audit: () => {}
+  });
+
+  assert.equal(run(requireAdmin, signedRequest("sig-old", Date.now() - 6 * 60 * 1000)), 401);
+});
@@ -0,0 +1,26 @@
+// test/lotteryDraw.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { pickWinners, sha256Hex } from "../lib/lotteryDraw.js";
+
+const ENTRIES = [
+  { username: "carol", walletAddress: "C1", entries: 1 },
+  { username: "alice", walletAddress: "A1", entries: 5 },
+  { username: "bob", walletAddress: "B1", entries: 2 }
+];
+
+test("pickWinners draws distinct winners deterministically", () => {
+  const randomness = sha256Hex("draw");
+  const picks = pickWinners(ENTRIES, randomness, 2);
+
+  assert.equal(picks.length, 2);
+  assert.notEqual(picks[0].walletAddress, picks[1].walletAddress);
+  assert.deepEqual(pickWinners([...ENTRIES].reverse(), randomness, 2), picks);
+});
+
+test("pickWinners returns one pick per entrant when prizes outnumber them", () => {
+  const picks = pickWinners(ENTRIES, sha256Hex("draw"), 5);
+
+  assert.equal(picks.length, 3);
+  assert.deepEqual(picks.map(p => p.username).sort(), ["alice", "bob", "carol"]);
+});
@@ -0,0 +1,146 @@
+// test/paymentCommand.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePaymentCommand, PARSE_ERRORS } from "../lib/paymentCommand.js";
+
+// A registry with more than USDC, as server.js passes it
+const TOKENS = {
+  currencies: { usdc: "USDC", usd: "USDC", bonk: "BONK", sol: "SOL" },
+  decimals: { USDC: 6, BONK: 5, SOL: 9 }
+};
+
+function parse(text, options) {
+  return parsePaymentCommand(text, { botHandle: "bot_wassy", ...options });
+}
+
+function assertRejected(text, reason, options) {
+  const result = parse(text, options);
+  assert.equal(result.ok, false, `${text} should be rejected`);
+  assert.equal(result.reason, reason, `${text}: ${result.message}`);
+  return result;
+}
+
+test("single payments in dollars or currency words", () => {
+  assert.deepEqual(parse("@bot_wassy send @alice $5"), {
+    ok: true,
+    mode: "single",
+    currency: "USDC",
+    total: "5",
+    totalRaw: 5000000,
+    recipients: [{ handle: "alice", amount: "5", rawAmount: 5000000 }],
+    memo: null
+  });
+
+  const words = parse("@bot_wassy pay @alice 5 usdc");
+  assert.equal(words.ok, true);
+  assert.equal(words.totalRaw, 5000000);
+});
+
+test("recipient after the amount, with a memo after \"for\"", () => {
+  const result = parse("@bot_wassy send $5 to @alice for pizza");
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.recipients, [{ handle: "alice", amount: "5", rawAmount: 5000000 }]);
+  assert.equal(result.memo, "pizza");
+});
+
+test("amounts with thousands separators", () => {
+  const result = parse("@bot_wassy send @alice $1,000.50");
+
+  assert.equal(result.total, "1000.5");
+  assert.equal(result.totalRaw, 1000500000);
+});
+
+test("tokens from the registry", () => {
+  const bonk = parse("@bot_wassy send @alice 100 BONK", TOKENS);
+  assert.equal(bonk.currency, "BONK");
+  assert.equal(bonk.totalRaw, 10000000);
+
+  const sol = parse("@bot_wassy send @alice 0.1 SOL", TOKENS);
+  assert.equal(sol.currency, "SOL");
+  assert.equal(sol.totalRaw, 100000000);
+});
+
+test("\"each\" pays every recipient the amount", () => {
+  const result = parse("@bot_wassy send @alice @bob $5 each");
+
+  assert.equal(result.mode, "each");
+  assert.equal(result.totalRaw, 10000000);
+  assert.deepEqual(result.recipients.map(r => r.rawAmount), [5000000, 5000000]);
+});
+
+test("split divides the amount and gives the remainder to the first recipients", () => {
+  const even = parse("@bot_wassy split $30 between @alice @bob @carol");
+  assert.equal(even.mode, "split");
+  assert.deepEqual(even.recipients.map(r => r.amount), ["10", "10", "10"]);
+
+  const uneven = parse("@bot_wassy split $10 between @a @b @c");
+  assert.deepEqual(uneven.recipients.map(r => r.rawAmount), [3333334, 3333333, 3333333]);
+  assert.equal(uneven.totalRaw, 10000000);
+});
+
+test("a bare tip pays the author of the replied-to post", () => {
+  const result = parse("@carol @bot_wassy tip $2 for the thread", { replyToHandle: "@carol" });
+
+  assert.equal(result.mode, "tip");
+  assert.deepEqual(result.recipients, [{ handle: "carol", amount: "2", rawAmount: 2000000 }]);
+  assert.equal(result.memo, "the thread");
+});
+
+test("the bot's own mention is not a recipient", () => {
+  const result = parse("@bot_wassy send @bot_wassy @bob $5");
+
+  assert.deepEqual(result.recipients.map(r => r.handle), ["bob"]);
+});
+
+test("ordinary words after a bare amount don't name a currency", () => {
+  assert.equal(parse("@bot_wassy send @u 5 thanks").currency, "USDC");
+  assert.equal(parse("@bot_wassy pay @bob 20 now").totalRaw, 20000000);
+});
+
+test("rejects commands with a reason code for each problem", () => {
+  assertRejected("@bot_wassy hello @alice", PARSE_ERRORS.NO_COMMAND);
+  assertRejected("@bot_wassy send $5", PARSE_ERRORS.NO_RECIPIENT);
+  assertRejected("@bot_wassy tip $2", PARSE_ERRORS.NO_TIP_TARGET);
+  assertRejected("@bot_wassy send @Me $5", PARSE_ERRORS.SELF_PAYMENT, { sender: "me" });
+  assertRejected("@bot_wassy send @alice", PARSE_ERRORS.NO_AMOUNT);
+  assertRejected("@bot_wassy send @alice $5 $6", PARSE_ERRORS.MULTIPLE_AMOUNTS);
+  assertRejected("@bot_wassy send @alice $0", PARSE_ERRORS.INVALID_AMOUNT);
+  assertRejected("@bot_wassy send @alice $20,000", PARSE_ERRORS.AMOUNT_TOO_LARGE, { maxAmounts: { USDC: 10000000000 } });
+  assertRejected("@bot_wassy send @alice 5 ETH", PARSE_ERRORS.UNKNOWN_CURRENCY);
+  assertRejected("@bot_wassy send @alice 5 eth", PARSE_ERRORS.UNKNOWN_CURRENCY);
+  assertRejected("@bot_wassy send @alice @bob $5", PARSE_ERRORS.AMBIGUOUS_RECIPIENTS);
+  assertRejected("@bot_wassy send @alice @bob $5 each split", PARSE_ERRORS.AMBIGUOUS_RECIPIENTS);
+  assertRejected("@bot_wassy send @alice @Alice $5 each", PARSE_ERRORS.DUPLICATE_RECIPIENT);
+  assertRejected("@bot_wassy send @a @b @c @d @e @f @g @h @i @j @k $1 each", PARSE_ERRORS.TOO_MANY_RECIPIENTS);
+});
+
+test("rejects commas that don't group thousands", () => {
+  assertRejected("@bot_wassy send @alice $1,00", PARSE_ERRORS.INVALID_AMOUNT);
+  assertRejected("@bot_wassy send @alice $10,00.50", PARSE_ERRORS.INVALID_AMOUNT);
+});
+
+test("rejects more decimals than the token has", () => {
+  assertRejected("@bot_wassy send @alice $1.1234567", PARSE_ERRORS.INVALID_AMOUNT);
+  assertRejected("@bot_wassy send @alice 1.000001 BONK", PARSE_ERRORS.INVALID_AMOUNT, TOKENS);
+});
+
+test("rejects a split too small to give everyone a base unit", () => {
+  assertRejected("@bot_wassy split $0.000001 between @a @b", PARSE_ERRORS.INVALID_AMOUNT);
+});
+
+test("the limit applies to the command's total", () => {
+  const maxAmounts = { USDC: 10000000 };
+
+  assert.equal(parse("@bot_wassy send @a @b $5 each", { maxAmounts }).ok, true);
+  assertRejected("@bot_wassy send @a @b @c $5 each", PARSE_ERRORS.AMOUNT_TOO_LARGE, { maxAmounts });
+});
+
+test("amounts past safe-integer base units are too large, not malformed", () => {
+  const result = assertRejected("@bot_wassy send @alice $99999999999", PARSE_ERRORS.AMOUNT_TOO_LARGE, {
+    maxAmounts: { USDC: 10000000000 }
+  });
+  assert.equal(result.message, "Amount is over the limit for one command: max 10000 USDC");
+
+  assertRejected("@bot_wassy send @alice 99999999999999 BONK", PARSE_ERRORS.AMOUNT_TOO_LARGE, TOKENS);
+});
@@ -0,0 +1,205 @@
+// test/socialCommand.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  commandId,
+  snowflakeAt,
+  fromXTweet,
+  fromXWebhookTweet,
+  fromTelegramUpdate,
+  fromFarcasterCast
+} from "../lib/socialCommand.js";
+
+const fixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8"));
+
+// The search expansions as the scanner passes them in
+function searchExpansions(response) {
+  const users = Object.fromEntries(response.includes.users.map(u => [u.id, u.username.toLowerCase()]));
+  const referencedTweets = Object.fromEntries(response.includes.tweets.map(t => [t.id, t]));
+  return { users, referencedTweets };
+}
+
+test("fromXTweet maps a search result to a command", () => {
+  const response = fixture("x-search-recent.json");
+  const { users, referencedTweets } = searchExpansions(response);
+  const command = fromXTweet(response.data[0], users, referencedTweets);
+
+  assert.deepEqual(command, {
+    source: "x",
+    messageId: "1846944806073688064",
+    author: { id: "1425873410123456512", handle: "alice_sol" },
+    text: "@bot_wassy send @Bob $5 for lunch https://t.co/a1B2c3D4e5",
+    replyTo: null,
+    links: ["https://example.com/lunch"],
+    isRepost: false,
+    sortKey: "1846944806073688064",
+    createdAt: "2024-10-17T16:02:11.000Z"
+  });
+  assert.equal(commandId(command), "1846944806073688064");
+});
+
+test("fromXTweet resolves the author of the tweet replied to", () => {
+  const response = fixture("x-search-recent.json");
+  const { users, referencedTweets } = searchExpansions(response);
+  const command = fromXTweet(response.data[1], users, referencedTweets);
+
+  assert.deepEqual(command.replyTo, {
+    messageId: "1846943761691992064",
+    author: { id: "55512345", handle: "carol" }
+  });
+  assert.equal(command.isRepost, false);
+
+  // Without in_reply_to_user_id the referenced tweet's author is used
+  const { in_reply_to_user_id, ...tweet } = response.data[1];
+  assert.equal(fromXTweet(tweet, users, referencedTweets).replyTo.author.id, "55512345");
+});
+
+test("fromXTweet flags quotes and manual retweets as reposts", () => {
+  const response = fixture("x-search-recent.json");
+  const { users, referencedTweets } = searchExpansions(response);
+
+  assert.equal(fromXTweet(response.data[2], users, referencedTweets).isRepost, true);
+  assert.equal(fromXTweet(response.data[3], users, referencedTweets).isRepost, true);
+  assert.equal(fromXTweet({ ...response.data[0], referenced_tweets: [{ type: "retweeted", id: "1" }] }).isRepost, true);
+});
+
+test("fromXTweet returns null without a tweet ID", () => {
+  assert.equal(fromXTweet(null), null);
+  assert.equal(fromXTweet({ text: "@bot_wassy send @bob $5" }), null);
+});
+
+test("fromXWebhookTweet uses the full text of extended tweets", () => {
+  const [event] = fixture("x-account-activity.json").tweet_create_events;
+  const command = fromXWebhookTweet(event);
+
+  assert.deepEqual(command, {
+    source: "x",
+    messageId: "1846944806073688064",
+    author: { id: "1425873410123456512", handle: "alice_sol" },
+    text: event.extended_tweet.full_text,
+    replyTo: null,
+    links: ["https://example.com/pizza"],
+    isRepost: false,
+    sortKey: "1846944806073688064",
+    createdAt: "2024-10-17T16:02:11.000Z"
+  });
+});
+
+test("fromXWebhookTweet maps replies", () => {
+  const event = fixture("x-account-activity.json").tweet_create_events[1];
+
+  assert.deepEqual(fromXWebhookTweet(event).replyTo, {
+    messageId: "1846943761691992064",
+    author: { id: "55512345", handle: "carol" }
+  });
+});
+
+test("fromXWebhookTweet flags retweets and quotes as reposts", () => {
+  const [, , retweet, quote] = fixture("x-account-activity.json").tweet_create_events;
+
+  assert.equal(fromXWebhookTweet(retweet).isRepost, true);
+  assert.equal(fromXWebhookTweet(quote).isRepost, true);
+});
+
+test("fromXWebhookTweet returns null for events that aren't tweets", () => {
+  assert.equal(fromXWebhookTweet(null), null);
+  assert.equal(fromXWebhookTweet({ id_str: "1846944806073688064" }), null);
+  assert.equal(fromXWebhookTweet({ favorited_status: {}, user: {} }), null);
+});
+
+test("fromTelegramUpdate maps a group message", () => {
+  const [update] = fixture("telegram-updates.json");
+  const command = fromTelegramUpdate(update);
+
+  assert.deepEqual(command, {
+    source: "telegram",
+    messageId: "-1001987654321_412",
+    author: { id: "5123456789", handle: "alice_sol" },
+    text: "@wassy_bot send @bob $5 https://example.com/lunch",
+    replyTo: null,
+    links: ["https://example.com/lunch"],
+    isRepost: false,
+    sortKey: snowflakeAt(1729180931 * 1000),
+    createdAt: "2024-10-17T16:02:11.000Z"
+  });
+  assert.equal(commandId(command), "telegram_-1001987654321_412");
+});
+
+test("fromTelegramUpdate reads captions and replies", () => {
+  const update = fixture("telegram-updates.json")[1];
+  const command = fromTelegramUpdate(update);
+
+  assert.equal(command.text, "tip $2 see receipt");
+  assert.deepEqual(command.links, ["https://example.com/receipt"]);
+  assert.deepEqual(command.replyTo, {
+    messageId: "-1001987654321_409",
+    author: { id: "6234567890", handle: "carol" }
+  });
+});
+
+test("fromTelegramUpdate flags forwarded messages as reposts", () => {
+  const update = fixture("telegram-updates.json")[2];
+  const command = fromTelegramUpdate(update);
+
+  assert.equal(command.isRepost, true);
+  assert.deepEqual(command.author, { id: "7345678901", handle: null });
+});
+
+test("fromTelegramUpdate returns null for updates that aren't new messages", () => {
+  const edited = fixture("telegram-updates.json")[3];
+
+  assert.equal(fromTelegramUpdate(edited), null);
+  assert.equal(fromTelegramUpdate(null), null);
+  assert.equal(fromTelegramUpdate({ update_id: 1, callback_query: { id: "1" } }), null);
+});
+
+test("fromFarcasterCast maps a reply cast", () => {
+  const [event] = fixture("neynar-cast-created.json");
+  const command = fromFarcasterCast(event);
+
+  assert.deepEqual(command, {
+    source: "farcaster",
+    messageId: "0x8f3e2a1b9c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f",
+    author: { id: "1234", handle: "alice" },
+    text: "@wassy tip $2 nice work",
+    replyTo: {
+      messageId: "0x1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b",
+      author: { id: "4321", handle: "carol" }
+    },
+    links: ["https://example.com/release"],
+    isRepost: false,
+    sortKey: snowflakeAt(Date.parse("2024-10-17T16:05:00.000Z")),
+    createdAt: "2024-10-17T16:05:00.000Z"
+  });
+  assert.equal(commandId(command), "farcaster_0x8f3e2a1b9c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f");
+});
+
+test("fromFarcasterCast flags quote casts as reposts and falls back to the event time", () => {
+  const event = fixture("neynar-cast-created.json")[1];
+  const command = fromFarcasterCast(event);
+
+  assert.equal(command.isRepost, true);
+  assert.equal(command.replyTo, null);
+  assert.deepEqual(command.links, []);
+  assert.equal(command.createdAt, new Date(event.created_at * 1000).toISOString());
+});
+
+test("fromFarcasterCast returns null for other webhook events", () => {
+  const event = fixture("neynar-cast-created.json")[2];
+
+  assert.equal(fromFarcasterCast(event), null);
+  assert.equal(fromFarcasterCast(null), null);
+  assert.equal(fromFarcasterCast({ type: "cast.created", data: { text: "no hash" } }), null);
+});
+
+test("sort keys order commands across sources by posting time", () => {
+  const response = fixture("x-search-recent.json");
+  const tweet = fromXTweet(response.data[0]);
+  const telegram = fromTelegramUpdate(fixture("telegram-updates.json")[1]);
+  const cast = fromFarcasterCast(fixture("neynar-cast-created.json")[1]);
+
+  // 16:02:11 tweet, 16:05:00 Telegram message, 16:07:30 cast
+  assert.ok(BigInt(tweet.sortKey) < BigInt(telegram.sortKey));
+  assert.ok(BigInt(telegram.sortKey) < BigInt(cast.sortKey));
+});
@@ -0,0 +1,30 @@
+// test/solanaTransactions.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyTransactionError, TX_ERROR_CODES } from "../lib/solanaTransactions.js";
+
+test("HTTP 429, 502 and 503 from the RPC are RPC errors", () => {
+  for (const message of [
+    "failed to get recent blockhash: Error: 429 Too Many Requests: {\"jsonrpc\":\"2.0\"}",
+    "502 Bad Gateway: <html></html>",
+    "Server responded with 503 Service Unavailable",
+    "Request failed with status code 429"
+  ]) {
+    assert.equal(classifyTransactionError(new Error(message)), TX_ERROR_CODES.RPC_ERROR, message);
+  }
+});
+
+test("the same digits elsewhere in an error are not HTTP statuses", () => {
+  for (const message of [
+    "Simulation failed: account 4295xQvA1r9 not found",
+    "Program log: transfer 503 units",
+    "Transaction 3y502Lk failed"
+  ]) {
+    assert.equal(classifyTransactionError(new Error(message)), TX_ERROR_CODES.TRANSACTION_FAILED, message);
+  }
+});
+
+test("insufficient funds and expired blockhashes keep their codes", () => {
+  assert.equal(classifyTransactionError({ InstructionError: [2, { Custom: 1 }] }), TX_ERROR_CODES.INSUFFICIENT_FUNDS);
+  assert.equal(classifyTransactionError(new Error("Blockhash not found")), TX_ERROR_CODES.BLOCKHASH_EXPIRED);
+});
@@ -0,0 +1,48 @@
+// test/tokenRegistry.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseDecimalAmount, toBaseUnits, fromBaseUnits } from "../lib/tokenRegistry.js";
+
+test("parseDecimalAmount converts decimal strings to base units", () => {
+  assert.equal(parseDecimalAmount("5", 6), 5000000);
+  assert.equal(parseDecimalAmount("1000.5", 6), 1000500000);
+  assert.equal(parseDecimalAmount(" 0.000001 ", 6), 1);
+  assert.equal(parseDecimalAmount("100", 0), 100);
+  assert.equal(parseDecimalAmount("0", 6), 0);
+});
+
+test("parseDecimalAmount rejects malformed, over-precise and unsafe amounts", () => {
+  for (const value of ["", "abc", "-5", "1e6", "1,000", ".5", "5.", null, undefined]) {
+    assert.equal(parseDecimalAmount(value, 6), null, String(value));
+  }
+  assert.equal(parseDecimalAmount("1.1234567", 6), null);
+  assert.equal(parseDecimalAmount("0.5", 0), null);
+  assert.equal(parseDecimalAmount("99999999999", 6), null);
+  assert.equal(parseDecimalAmount("9007199254.740991", 6), Number.MAX_SAFE_INTEGER);
+});
+
+test("toBaseUnits reads decimal strings and legacy floats", () => {
+  assert.equal(toBaseUnits("5.25", 6), 5250000);
+  assert.equal(toBaseUnits(5.25, 6), 5250000);
+  // Float noise is rounded to the token's precision
+  assert.equal(toBaseUnits(0.1 + 0.2, 6), 300000);
+  assert.equal(toBaseUnits(1.0000005, 6), 1000001);
+  assert.equal(toBaseUnits(19.99, 2), 1999);
+  assert.equal(toBaseUnits(undefined, 6), 0);
+  assert.equal(toBaseUnits("not a number", 6), 0);
+});
+
+test("fromBaseUnits formats base units as a trimmed decimal string", () => {
+  assert.equal(fromBaseUnits(1000500000, 6), "1000.5");
+  assert.equal(fromBaseUnits(5000000, 6), "5");
+  assert.equal(fromBaseUnits(1, 6), "0.000001");
+  assert.equal(fromBaseUnits(0, 6), "0");
+  assert.equal(fromBaseUnits(123, 0), "123");
+  assert.equal(fromBaseUnits(Number.MAX_SAFE_INTEGER, 6), "9007199254.740991");
+});
+
+test("base units round-trip through fromBaseUnits and parseDecimalAmount", () => {
+  for (const [raw, decimals] of [[1, 6], [3333334, 6], [10000000, 5], [100000000, 9], [42, 0]]) {
+    assert.equal(parseDecimalAmount(fromBaseUnits(raw, decimals), decimals), raw);
+  }
+});